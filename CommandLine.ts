@@ -0,0 +1,286 @@
+/**
+ * SimplePoll command-line tool module.
+ * @module CommandLine
+ * @author John Grube <johnegrube@gmail.com>
+ * @see https://github.com/jgrube/SimplePoll#readme
+ */
+
+"use strict";
+
+// Node modules
+import childProcess = require("child_process");
+
+// SimplePoll modules
+import simplepoll = require("./SimplePoll");
+
+/** Settings given on the command line */
+export interface CommandLineOptions {
+    paths: string[];
+    extensions: string[];
+    include: string[];
+    exclude: string[];
+    period: number;
+    sort: boolean;
+    depth: number;
+    json: boolean;
+    exec: string;
+    stdin: boolean;
+    help: boolean;
+}
+
+const USAGE: string = [
+    "Usage: simplepoll [options] <path...>",
+    "",
+    "Watches directories and files by polling them, and prints the changes it finds.",
+    "",
+    "Options:",
+    "  -p, --path <path>       Directory or file to watch (can also be given without -p)",
+    "  -e, --extension <ext>   Only watch files with this extension",
+    "  -i, --include <glob>    Only watch files matching this glob",
+    "  -x, --exclude <glob>    Ignore files and directories matching this glob",
+    "  -t, --period <msec>     How frequently to poll (defaults to 1000)",
+    "  -d, --depth <levels>    How many levels of subdirectories to watch (0 = top-level only)",
+    "  -s, --sort              Sort the files found by each poll",
+    "      --json              Print changes as newline-delimited JSON",
+    "  -c, --exec <command>    Run a command for every batch of new/modified files, with the files as arguments",
+    "      --stdin             Pass the files to the command on stdin (one per line) instead",
+    "  -h, --help              Show this help",
+    "",
+    "-e, -i, -x and -p can be given more than once."
+].join("\n");
+
+/**
+ * Parses command-line arguments. Throws an error describing the problem if they're invalid
+ * @param args Arguments without the node and script paths (e.g. process.argv.slice(2))
+ * @returns {CommandLineOptions} Returns the settings given by the arguments
+ */
+export function parseArgs(args: string[]): CommandLineOptions {
+    let options: CommandLineOptions = {
+        paths: [],
+        extensions: [],
+        include: [],
+        exclude: [],
+        period: 1000,
+        sort: false,
+        depth: undefined,
+        json: false,
+        exec: null,
+        stdin: false,
+        help: false
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        let arg: string = args[i];
+        let value = (): string => {
+            if (i + 1 >= args.length) {
+                throw new Error("Missing value for " + arg);
+            }
+
+            return args[++i];
+        };
+
+        switch (arg) {
+            case "-p":
+            case "--path":
+                options.paths.push(value());
+                break;
+            case "-e":
+            case "--extension":
+                options.extensions.push(value());
+                break;
+            case "-i":
+            case "--include":
+                options.include.push(value());
+                break;
+            case "-x":
+            case "--exclude":
+                options.exclude.push(value());
+                break;
+            case "-t":
+            case "--period":
+                options.period = Number(value());
+                break;
+            case "-d":
+            case "--depth":
+                options.depth = Number(value());
+                break;
+            case "-s":
+            case "--sort":
+                options.sort = true;
+                break;
+            case "--json":
+                options.json = true;
+                break;
+            case "-c":
+            case "--exec":
+                options.exec = value();
+                break;
+            case "--stdin":
+                options.stdin = true;
+                break;
+            case "-h":
+            case "--help":
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith("-")) {
+                    throw new Error("Unknown option " + arg);
+                }
+
+                options.paths.push(arg);
+        }
+    }
+
+    if (options.help) {
+        return options;
+    }
+
+    if (options.paths.length === 0) {
+        throw new Error("No path to watch");
+    }
+
+    if (!(options.period > 0)) {
+        throw new Error("Invalid period");
+    }
+
+    if (options.depth !== undefined && !(options.depth >= 0)) {
+        throw new Error("Invalid depth");
+    }
+
+    if (options.stdin && !options.exec) {
+        throw new Error("--stdin needs a command to run (--exec)");
+    }
+
+    return options;
+}
+
+/**
+ * Runs the command-line tool until it's interrupted (SIGINT/SIGTERM), which destroys the watcher
+ * @param args Arguments without the node and script paths (e.g. process.argv.slice(2))
+ */
+export function run(args: string[]): void {
+    let options: CommandLineOptions;
+    let watcher: simplepoll.SimplePoll;
+
+    try {
+        options = parseArgs(args);
+    }
+    catch (error) {
+        process.stderr.write("simplepoll: " + error.message + "\n\n" + USAGE + "\n");
+        process.exitCode = 2;
+        return;
+    }
+
+    if (options.help) {
+        process.stdout.write(USAGE + "\n");
+        return;
+    }
+
+    try {
+        watcher = simplepoll.create({
+            path: options.paths.length === 1 ? options.paths[0] : options.paths,
+            extension: options.extensions,
+            include: options.include,
+            exclude: options.exclude,
+            depth: options.depth,
+            // Commands for consecutive batches don't overlap
+            waitForCallback: true,
+            // Keeps the process running until the watcher is destroyed
+            persistent: true,
+            timerPeriod: options.period,
+            sort: options.sort,
+            pollCallback: (error: NodeJS.ErrnoException, files: string[], changes: ChangeSet) => {
+                // Errors are printed by the "error" listener
+                if (error) {
+                    return;
+                }
+
+                printChanges(changes, options.json);
+
+                if (options.exec && files.length > 0) {
+                    return runCommand(options.exec, files, options.stdin);
+                }
+            }
+        });
+    }
+    catch (error) {
+        process.stderr.write("simplepoll: " + error.message + "\n");
+        process.exitCode = 2;
+        return;
+    }
+
+    let shutdown = () => {
+        watcher.destroy();
+    };
+
+    watcher.on("error", (error: NodeJS.ErrnoException) => {
+        process.stderr.write("simplepoll: " + error.message + "\n");
+    });
+
+    watcher.whenReady().then(() => {
+        process.stderr.write("simplepoll: watching " + options.paths.join(", ") + "\n");
+    }, () => {
+        shutdown();
+        process.exitCode = 1;
+    });
+
+    process.once("SIGINT", shutdown);
+    process.once("SIGTERM", shutdown);
+}
+
+/** Prints a poll's changes, one per line */
+function printChanges(changes: ChangeSet, json: boolean): void {
+    let time: string = new Date().toISOString();
+    let lines: string[] = [];
+    let labels: { [type: string]: string } = { add: "added   ", change: "changed ", unlink: "removed ", rename: "renamed " };
+    let print = (type: string, file: string, from?: string) => {
+        if (json) {
+            lines.push(JSON.stringify(from ? { type: type, from: from, file: file, time: time } : { type: type, file: file, time: time }));
+        }
+        else {
+            lines.push(labels[type] + (from ? from + " -> " : "") + file);
+        }
+    };
+
+    changes.added.forEach((file: string) => { print("add", file); });
+    changes.modified.forEach((file: string) => { print("change", file); });
+    changes.removed.forEach((file: string) => { print("unlink", file); });
+    changes.renamed.forEach((rename: RenamedFile) => { print("rename", rename.to, rename.from); });
+
+    if (lines.length > 0) {
+        process.stdout.write(lines.join("\n") + "\n");
+    }
+}
+
+/** Runs a command for a batch of files, passing them as arguments or on stdin. Rejects if
+ *  the command can't be run or fails.
+ */
+function runCommand(command: string, files: string[], stdin: boolean): Promise<void> {
+    return new Promise<void>((resolve, reject) => {
+        let child: childProcess.ChildProcess;
+
+        if (stdin) {
+            child = childProcess.spawn(command, [], { shell: true, stdio: ["pipe", "inherit", "inherit"] });
+
+            // Commands that don't read stdin can exit before it's been written
+            child.stdin.on("error", () => { return; });
+            child.stdin.end(files.join("\n") + "\n");
+        }
+        else if (process.platform === "win32") {
+            child = childProcess.spawn(command + " " + files.map((file: string) => { return "\"" + file + "\""; }).join(" "), [], { shell: true, stdio: "inherit" });
+        }
+        else {
+            // Passing the files as positional parameters means they don't need quoting
+            child = childProcess.spawn("/bin/sh", ["-c", command + " \"$@\"", "simplepoll"].concat(files), { stdio: "inherit" });
+        }
+
+        child.on("error", reject);
+        child.on("close", (code: number) => {
+            if (code !== 0) {
+                return reject(new Error("Command exited with code " + code + ": " + command));
+            }
+
+            return resolve();
+        });
+    });
+}
@@ -0,0 +1,252 @@
+/**
+ * SimplePoll filesystem adapter module.
+ * @module FileSystem
+ * @author John Grube <johnegrube@gmail.com>
+ * @see https://github.com/jgrube/SimplePoll#readme
+ */
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Node modules
+const path = require("path");
+const fs = require("fs");
+const stream = require("stream");
+/**
+ * Default filesystem adapter, which polls the local filesystem through Node's fs module.
+ */
+class NodeFileSystem {
+    constructor() {
+        /** Stats a file or directory, following symlinks */
+        this.stat = (file, statCallback) => {
+            fs.stat(file, statCallback);
+        };
+        /** Stats a file, directory or symlink without following symlinks */
+        this.lstat = (file, statCallback) => {
+            fs.lstat(file, statCallback);
+        };
+        /** Lists the names of a directory's entries */
+        this.readdir = (directory, readdirCallback) => {
+            fs.readdir(directory, readdirCallback);
+        };
+        /** Opens a file for reading its contents */
+        this.createReadStream = (file) => {
+            return fs.createReadStream(file);
+        };
+    }
+}
+exports.NodeFileSystem = NodeFileSystem;
+/**
+ * Stats of a MemoryFileSystem entry.
+ */
+class MemoryStats {
+    constructor(entry) {
+        this.isFile = () => {
+            return !this.directory;
+        };
+        this.isDirectory = () => {
+            return this.directory;
+        };
+        this.isSymbolicLink = () => {
+            return false;
+        };
+        this.dev = 0;
+        this.ino = entry.ino;
+        this.size = entry.children ? 0 : entry.data.length;
+        this.mtimeMs = entry.mtimeMs;
+        this.mtime = new Date(entry.mtimeMs);
+        this.directory = entry.children !== null;
+    }
+}
+/**
+ * In-memory filesystem adapter. Files are created and changed synchronously with
+ * its own methods, and their mtimes can be set to anything, so tests can run
+ * without temporary directories or waiting for the clock to move on. Doesn't
+ * support symlinks.
+ */
+class MemoryFileSystem {
+    constructor() {
+        /** Creates or overwrites a file, creating its parent directories if they don't exist.
+         *  The mtime defaults to the current time.
+         */
+        this.writeFile = (file, data, mtime) => {
+            file = path.resolve(file);
+            let entry = this.entries[file];
+            if (entry && entry.children) {
+                throw createError("EISDIR", "open", file);
+            }
+            if (!entry) {
+                entry = this.createEntry(file, false);
+            }
+            entry.data = Buffer.from(data);
+            entry.mtimeMs = toTime(mtime);
+        };
+        /** Creates a directory and any of its parent directories that don't exist. The mtime
+         *  defaults to the current time for new directories.
+         */
+        this.mkdir = (directory, mtime) => {
+            directory = path.resolve(directory);
+            let entry = this.entries[directory];
+            if (entry && !entry.children) {
+                throw createError("EEXIST", "mkdir", directory);
+            }
+            if (!entry) {
+                entry = this.createEntry(directory, true);
+            }
+            if (mtime !== undefined) {
+                entry.mtimeMs = toTime(mtime);
+            }
+        };
+        /** Changes the mtime of a file or directory */
+        this.utimes = (file, mtime) => {
+            this.getEntry(path.resolve(file), "utime").mtimeMs = toTime(mtime);
+        };
+        /** Removes a file, or a directory and everything in it */
+        this.remove = (file) => {
+            file = path.resolve(file);
+            this.getEntry(file, "unlink");
+            this.detach(file);
+            this.deleteEntry(file);
+        };
+        /** Renames or moves a file or directory, keeping its inode and mtime. Anything
+         *  already at the new path is replaced.
+         */
+        this.rename = (from, to) => {
+            from = path.resolve(from);
+            to = path.resolve(to);
+            let entry = this.getEntry(from, "rename");
+            if (from === to) {
+                return;
+            }
+            if (!this.entries[path.dirname(to)]) {
+                throw createError("ENOENT", "rename", to);
+            }
+            if (this.entries[to]) {
+                this.remove(to);
+            }
+            // Moves the entry and everything under it
+            Object.keys(this.entries).forEach((file) => {
+                if (file === from || file.startsWith(from + path.sep)) {
+                    this.entries[to + file.slice(from.length)] = this.entries[file];
+                    delete this.entries[file];
+                }
+            });
+            this.detach(from);
+            this.attach(to, entry);
+        };
+        this.stat = (file, statCallback) => {
+            let entry = this.entries[path.resolve(file)];
+            let stats = entry ? new MemoryStats(entry) : null;
+            setImmediate(() => {
+                if (!stats) {
+                    return statCallback(createError("ENOENT", "stat", file), undefined);
+                }
+                return statCallback(null, stats);
+            });
+        };
+        this.lstat = (file, statCallback) => {
+            this.stat(file, statCallback);
+        };
+        this.readdir = (directory, readdirCallback) => {
+            let entry = this.entries[path.resolve(directory)];
+            let names = entry && entry.children ? Object.keys(entry.children).sort() : null;
+            setImmediate(() => {
+                if (!entry) {
+                    return readdirCallback(createError("ENOENT", "scandir", directory), undefined);
+                }
+                if (!names) {
+                    return readdirCallback(createError("ENOTDIR", "scandir", directory), undefined);
+                }
+                return readdirCallback(null, names);
+            });
+        };
+        this.createReadStream = (file) => {
+            let entry = this.entries[path.resolve(file)];
+            let data = entry ? entry.data : null;
+            let readStream = new stream.PassThrough();
+            setImmediate(() => {
+                if (!entry) {
+                    return readStream.emit("error", createError("ENOENT", "open", file));
+                }
+                if (!data) {
+                    return readStream.emit("error", createError("EISDIR", "read", file));
+                }
+                readStream.end(data);
+            });
+            return readStream;
+        };
+        /** Looks up an entry, throwing the same error as Node if it doesn't exist */
+        this.getEntry = (file, syscall) => {
+            if (!this.entries[file]) {
+                throw createError("ENOENT", syscall, file);
+            }
+            return this.entries[file];
+        };
+        /** Adds a new file or directory, along with any missing parent directories */
+        this.createEntry = (file, directory) => {
+            let parent = path.dirname(file);
+            let entry = {
+                ino: this.nextIno++,
+                mtimeMs: Date.now(),
+                data: directory ? null : Buffer.alloc(0),
+                children: directory ? {} : null
+            };
+            if (parent !== file && !this.entries[parent]) {
+                this.createEntry(parent, true);
+            }
+            if (this.entries[parent] && !this.entries[parent].children) {
+                throw createError("ENOTDIR", directory ? "mkdir" : "open", file);
+            }
+            this.attach(file, entry);
+            return entry;
+        };
+        /** Deletes an entry and everything under it */
+        this.deleteEntry = (file) => {
+            Object.keys(this.entries).forEach((entryPath) => {
+                if (entryPath === file || entryPath.startsWith(file + path.sep)) {
+                    delete this.entries[entryPath];
+                }
+            });
+        };
+        /** Adds an entry to its parent directory, which changes the directory's mtime like it would on disk */
+        this.attach = (file, entry) => {
+            let parent = this.entries[path.dirname(file)];
+            this.entries[file] = entry;
+            if (parent && parent !== entry) {
+                parent.children[path.basename(file)] = true;
+                parent.mtimeMs = Date.now();
+            }
+        };
+        /** Removes an entry from its parent directory */
+        this.detach = (file) => {
+            let parent = this.entries[path.dirname(file)];
+            if (parent && parent !== this.entries[file]) {
+                delete parent.children[path.basename(file)];
+                parent.mtimeMs = Date.now();
+            }
+        };
+        this.entries = {};
+        this.nextIno = 1;
+    }
+}
+exports.MemoryFileSystem = MemoryFileSystem;
+/** Converts an optional mtime to msec, defaulting to the current time */
+function toTime(mtime) {
+    if (mtime === undefined || mtime === null) {
+        return Date.now();
+    }
+    return mtime instanceof Date ? mtime.getTime() : mtime;
+}
+/** Creates an error that looks like the ones Node's fs module passes back */
+function createError(code, syscall, file) {
+    let messages = {
+        ENOENT: "no such file or directory",
+        ENOTDIR: "not a directory",
+        EISDIR: "illegal operation on a directory",
+        EEXIST: "file already exists"
+    };
+    let error = new Error(code + ": " + messages[code] + ", " + syscall + " '" + file + "'");
+    error.code = code;
+    error.syscall = syscall;
+    error.path = file;
+    return error;
+}
+//# sourceMappingURL=FileSystem.js.map
\ No newline at end of file
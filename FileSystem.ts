@@ -0,0 +1,324 @@
+/**
+ * SimplePoll filesystem adapter module.
+ * @module FileSystem
+ * @author John Grube <johnegrube@gmail.com>
+ * @see https://github.com/jgrube/SimplePoll#readme
+ */
+
+"use strict";
+
+// Node modules
+import path = require("path");
+import fs = require("fs");
+import stream = require("stream");
+
+/**
+ * Default filesystem adapter, which polls the local filesystem through Node's fs module.
+ */
+export class NodeFileSystem implements FileSystemAdapter {
+    /** Stats a file or directory, following symlinks */
+    stat = (file: string, statCallback: (error: NodeJS.ErrnoException, stats: FileStats) => void) => {
+        fs.stat(file, statCallback);
+    }
+
+    /** Stats a file, directory or symlink without following symlinks */
+    lstat = (file: string, statCallback: (error: NodeJS.ErrnoException, stats: FileStats) => void) => {
+        fs.lstat(file, statCallback);
+    }
+
+    /** Lists the names of a directory's entries */
+    readdir = (directory: string, readdirCallback: (error: NodeJS.ErrnoException, names: string[]) => void) => {
+        fs.readdir(directory, readdirCallback);
+    }
+
+    /** Opens a file for reading its contents */
+    createReadStream = (file: string): NodeJS.ReadableStream => {
+        return fs.createReadStream(file);
+    }
+}
+
+// A file or directory held by a MemoryFileSystem
+interface MemoryEntry {
+    ino: number;
+    mtimeMs: number;
+    data: Buffer;
+    children: { [name: string]: boolean };
+}
+
+/**
+ * Stats of a MemoryFileSystem entry.
+ */
+class MemoryStats implements FileStats {
+    readonly dev: number;
+    readonly ino: number;
+    readonly size: number;
+    readonly mtimeMs: number;
+    readonly mtime: Date;
+    private directory: boolean;
+
+    constructor(entry: MemoryEntry) {
+        this.dev = 0;
+        this.ino = entry.ino;
+        this.size = entry.children ? 0 : entry.data.length;
+        this.mtimeMs = entry.mtimeMs;
+        this.mtime = new Date(entry.mtimeMs);
+        this.directory = entry.children !== null;
+    }
+
+    isFile = (): boolean => {
+        return !this.directory;
+    }
+
+    isDirectory = (): boolean => {
+        return this.directory;
+    }
+
+    isSymbolicLink = (): boolean => {
+        return false;
+    }
+}
+
+/**
+ * In-memory filesystem adapter. Files are created and changed synchronously with
+ * its own methods, and their mtimes can be set to anything, so tests can run
+ * without temporary directories or waiting for the clock to move on. Doesn't
+ * support symlinks.
+ */
+export class MemoryFileSystem implements FileSystemAdapter {
+    private entries: { [path: string]: MemoryEntry };
+    private nextIno: number;
+
+    constructor() {
+        this.entries = {};
+        this.nextIno = 1;
+    }
+
+    /** Creates or overwrites a file, creating its parent directories if they don't exist.
+     *  The mtime defaults to the current time.
+     */
+    writeFile = (file: string, data: string | Buffer, mtime?: number | Date) => {
+        file = path.resolve(file);
+
+        let entry: MemoryEntry = this.entries[file];
+
+        if (entry && entry.children) {
+            throw createError("EISDIR", "open", file);
+        }
+
+        if (!entry) {
+            entry = this.createEntry(file, false);
+        }
+
+        entry.data = Buffer.from(data);
+        entry.mtimeMs = toTime(mtime);
+    }
+
+    /** Creates a directory and any of its parent directories that don't exist. The mtime
+     *  defaults to the current time for new directories.
+     */
+    mkdir = (directory: string, mtime?: number | Date) => {
+        directory = path.resolve(directory);
+
+        let entry: MemoryEntry = this.entries[directory];
+
+        if (entry && !entry.children) {
+            throw createError("EEXIST", "mkdir", directory);
+        }
+
+        if (!entry) {
+            entry = this.createEntry(directory, true);
+        }
+
+        if (mtime !== undefined) {
+            entry.mtimeMs = toTime(mtime);
+        }
+    }
+
+    /** Changes the mtime of a file or directory */
+    utimes = (file: string, mtime: number | Date) => {
+        this.getEntry(path.resolve(file), "utime").mtimeMs = toTime(mtime);
+    }
+
+    /** Removes a file, or a directory and everything in it */
+    remove = (file: string) => {
+        file = path.resolve(file);
+
+        this.getEntry(file, "unlink");
+        this.detach(file);
+        this.deleteEntry(file);
+    }
+
+    /** Renames or moves a file or directory, keeping its inode and mtime. Anything
+     *  already at the new path is replaced.
+     */
+    rename = (from: string, to: string) => {
+        from = path.resolve(from);
+        to = path.resolve(to);
+
+        let entry: MemoryEntry = this.getEntry(from, "rename");
+
+        if (from === to) {
+            return;
+        }
+
+        if (!this.entries[path.dirname(to)]) {
+            throw createError("ENOENT", "rename", to);
+        }
+
+        if (this.entries[to]) {
+            this.remove(to);
+        }
+
+        // Moves the entry and everything under it
+        Object.keys(this.entries).forEach((file: string) => {
+            if (file === from || file.startsWith(from + path.sep)) {
+                this.entries[to + file.slice(from.length)] = this.entries[file];
+                delete this.entries[file];
+            }
+        });
+
+        this.detach(from);
+        this.attach(to, entry);
+    }
+
+    stat = (file: string, statCallback: (error: NodeJS.ErrnoException, stats: FileStats) => void) => {
+        let entry: MemoryEntry = this.entries[path.resolve(file)];
+        let stats: FileStats = entry ? new MemoryStats(entry) : null;
+
+        setImmediate(() => {
+            if (!stats) {
+                return statCallback(createError("ENOENT", "stat", file), undefined);
+            }
+
+            return statCallback(null, stats);
+        });
+    }
+
+    lstat = (file: string, statCallback: (error: NodeJS.ErrnoException, stats: FileStats) => void) => {
+        this.stat(file, statCallback);
+    }
+
+    readdir = (directory: string, readdirCallback: (error: NodeJS.ErrnoException, names: string[]) => void) => {
+        let entry: MemoryEntry = this.entries[path.resolve(directory)];
+        let names: string[] = entry && entry.children ? Object.keys(entry.children).sort() : null;
+
+        setImmediate(() => {
+            if (!entry) {
+                return readdirCallback(createError("ENOENT", "scandir", directory), undefined);
+            }
+
+            if (!names) {
+                return readdirCallback(createError("ENOTDIR", "scandir", directory), undefined);
+            }
+
+            return readdirCallback(null, names);
+        });
+    }
+
+    createReadStream = (file: string): NodeJS.ReadableStream => {
+        let entry: MemoryEntry = this.entries[path.resolve(file)];
+        let data: Buffer = entry ? entry.data : null;
+        let readStream: stream.PassThrough = new stream.PassThrough();
+
+        setImmediate(() => {
+            if (!entry) {
+                return readStream.emit("error", createError("ENOENT", "open", file));
+            }
+
+            if (!data) {
+                return readStream.emit("error", createError("EISDIR", "read", file));
+            }
+
+            readStream.end(data);
+        });
+
+        return readStream;
+    }
+
+    /** Looks up an entry, throwing the same error as Node if it doesn't exist */
+    private getEntry = (file: string, syscall: string): MemoryEntry => {
+        if (!this.entries[file]) {
+            throw createError("ENOENT", syscall, file);
+        }
+
+        return this.entries[file];
+    }
+
+    /** Adds a new file or directory, along with any missing parent directories */
+    private createEntry = (file: string, directory: boolean): MemoryEntry => {
+        let parent: string = path.dirname(file);
+        let entry: MemoryEntry = {
+            ino: this.nextIno++,
+            mtimeMs: Date.now(),
+            data: directory ? null : Buffer.alloc(0),
+            children: directory ? {} : null
+        };
+
+        if (parent !== file && !this.entries[parent]) {
+            this.createEntry(parent, true);
+        }
+
+        if (this.entries[parent] && !this.entries[parent].children) {
+            throw createError("ENOTDIR", directory ? "mkdir" : "open", file);
+        }
+
+        this.attach(file, entry);
+        return entry;
+    }
+
+    /** Deletes an entry and everything under it */
+    private deleteEntry = (file: string) => {
+        Object.keys(this.entries).forEach((entryPath: string) => {
+            if (entryPath === file || entryPath.startsWith(file + path.sep)) {
+                delete this.entries[entryPath];
+            }
+        });
+    }
+
+    /** Adds an entry to its parent directory, which changes the directory's mtime like it would on disk */
+    private attach = (file: string, entry: MemoryEntry) => {
+        let parent: MemoryEntry = this.entries[path.dirname(file)];
+
+        this.entries[file] = entry;
+
+        if (parent && parent !== entry) {
+            parent.children[path.basename(file)] = true;
+            parent.mtimeMs = Date.now();
+        }
+    }
+
+    /** Removes an entry from its parent directory */
+    private detach = (file: string) => {
+        let parent: MemoryEntry = this.entries[path.dirname(file)];
+
+        if (parent && parent !== this.entries[file]) {
+            delete parent.children[path.basename(file)];
+            parent.mtimeMs = Date.now();
+        }
+    }
+}
+
+/** Converts an optional mtime to msec, defaulting to the current time */
+function toTime(mtime: number | Date): number {
+    if (mtime === undefined || mtime === null) {
+        return Date.now();
+    }
+
+    return mtime instanceof Date ? mtime.getTime() : mtime;
+}
+
+/** Creates an error that looks like the ones Node's fs module passes back */
+function createError(code: string, syscall: string, file: string): NodeJS.ErrnoException {
+    let messages: { [code: string]: string } = {
+        ENOENT: "no such file or directory",
+        ENOTDIR: "not a directory",
+        EISDIR: "illegal operation on a directory",
+        EEXIST: "file already exists"
+    };
+    let error: NodeJS.ErrnoException = new Error(code + ": " + messages[code] + ", " + syscall + " '" + file + "'");
+
+    error.code = code;
+    error.syscall = syscall;
+    error.path = file;
+    return error;
+}
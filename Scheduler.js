@@ -0,0 +1,81 @@
+/**
+ * SimplePoll scheduler module.
+ * @module Scheduler
+ * @author John Grube <johnegrube@gmail.com>
+ * @see https://github.com/jgrube/SimplePoll#readme
+ */
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+/**
+ * Limits how many directory scans and filesystem calls the watchers sharing it can
+ * have running at once, across all of them. Watchers created with create() share
+ * the SimplePoll module's scheduler.
+ */
+class Scheduler {
+    /**
+     * @param options Optional limits on concurrent scans and stat calls (unlimited by default)
+     */
+    constructor(options) {
+        /** Changes the limits. Queued tasks are started straight away if the limits have been raised */
+        this.configure = (options) => {
+            if (!options || (options.maxScans !== undefined && !(options.maxScans >= 1)) ||
+                (options.maxStats !== undefined && !(options.maxStats >= 1))) {
+                throw new Error("Invalid Scheduler configuration");
+            }
+            if (options.maxScans !== undefined) {
+                this.scans.limit = Math.floor(options.maxScans);
+            }
+            if (options.maxStats !== undefined) {
+                this.stats.limit = Math.floor(options.maxStats);
+            }
+            this.next(this.scans);
+            this.next(this.stats);
+        };
+        /** Runs a directory scan once a scan slot is free. The task must call release() once it's done */
+        this.runScan = (priority, task) => {
+            this.enqueue(this.scans, priority, task);
+        };
+        /** Runs a stat (or readdir) call once a slot is free. The task must call release() once it's done */
+        this.runStat = (task) => {
+            this.enqueue(this.stats, 0, task);
+        };
+        /** Holds back scans that haven't started yet. Scans that are already running are finished */
+        this.pause = () => {
+            this.paused = true;
+        };
+        /** Starts the scans that were held back while paused */
+        this.resume = () => {
+            this.paused = false;
+            this.next(this.scans);
+        };
+        /** Queues a task behind the tasks with the same or a higher priority */
+        this.enqueue = (pool, priority, run) => {
+            let index = pool.queue.findIndex((task) => { return task.priority < priority; });
+            pool.queue.splice(index === -1 ? pool.queue.length : index, 0, { priority: priority, run: run });
+            this.next(pool);
+        };
+        /** Starts as many queued tasks as there are free slots */
+        this.next = (pool) => {
+            while (pool.queue.length > 0 && pool.active < pool.limit && !(this.paused && pool === this.scans)) {
+                let task = pool.queue.shift();
+                let released = false;
+                pool.active++;
+                task.run(() => {
+                    // Releasing a slot more than once would let too many tasks run
+                    if (released) {
+                        return;
+                    }
+                    released = true;
+                    pool.active--;
+                    this.next(pool);
+                });
+            }
+        };
+        this.scans = { limit: Infinity, active: 0, queue: [] };
+        this.stats = { limit: Infinity, active: 0, queue: [] };
+        this.paused = false;
+        this.configure(options || {});
+    }
+}
+exports.Scheduler = Scheduler;
+//# sourceMappingURL=Scheduler.js.map
\ No newline at end of file
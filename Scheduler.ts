@@ -0,0 +1,111 @@
+/**
+ * SimplePoll scheduler module.
+ * @module Scheduler
+ * @author John Grube <johnegrube@gmail.com>
+ * @see https://github.com/jgrube/SimplePoll#readme
+ */
+
+"use strict";
+
+// A task waiting for a free slot. Tasks with a higher priority are started first
+interface QueuedTask {
+    priority: number;
+    run: (release: () => void) => void;
+}
+
+// Slots for one kind of task, and the tasks waiting for one
+interface SlotPool {
+    limit: number;
+    active: number;
+    queue: QueuedTask[];
+}
+
+/**
+ * Limits how many directory scans and filesystem calls the watchers sharing it can
+ * have running at once, across all of them. Watchers created with create() share
+ * the SimplePoll module's scheduler.
+ */
+export class Scheduler {
+    private scans: SlotPool;
+    private stats: SlotPool;
+    private paused: boolean;
+
+    /**
+     * @param options Optional limits on concurrent scans and stat calls (unlimited by default)
+     */
+    constructor(options?: SchedulerOptions) {
+        this.scans = { limit: Infinity, active: 0, queue: [] };
+        this.stats = { limit: Infinity, active: 0, queue: [] };
+        this.paused = false;
+
+        this.configure(options || {});
+    }
+
+    /** Changes the limits. Queued tasks are started straight away if the limits have been raised */
+    configure = (options: SchedulerOptions) => {
+        if (!options || (options.maxScans !== undefined && !(options.maxScans >= 1)) ||
+            (options.maxStats !== undefined && !(options.maxStats >= 1))) {
+            throw new Error("Invalid Scheduler configuration");
+        }
+
+        if (options.maxScans !== undefined) {
+            this.scans.limit = Math.floor(options.maxScans);
+        }
+
+        if (options.maxStats !== undefined) {
+            this.stats.limit = Math.floor(options.maxStats);
+        }
+
+        this.next(this.scans);
+        this.next(this.stats);
+    }
+
+    /** Runs a directory scan once a scan slot is free. The task must call release() once it's done */
+    runScan = (priority: number, task: (release: () => void) => void) => {
+        this.enqueue(this.scans, priority, task);
+    }
+
+    /** Runs a stat (or readdir) call once a slot is free. The task must call release() once it's done */
+    runStat = (task: (release: () => void) => void) => {
+        this.enqueue(this.stats, 0, task);
+    }
+
+    /** Holds back scans that haven't started yet. Scans that are already running are finished */
+    pause = () => {
+        this.paused = true;
+    }
+
+    /** Starts the scans that were held back while paused */
+    resume = () => {
+        this.paused = false;
+        this.next(this.scans);
+    }
+
+    /** Queues a task behind the tasks with the same or a higher priority */
+    private enqueue = (pool: SlotPool, priority: number, run: (release: () => void) => void) => {
+        let index: number = pool.queue.findIndex((task: QueuedTask) => { return task.priority < priority; });
+
+        pool.queue.splice(index === -1 ? pool.queue.length : index, 0, { priority: priority, run: run });
+        this.next(pool);
+    }
+
+    /** Starts as many queued tasks as there are free slots */
+    private next = (pool: SlotPool) => {
+        while (pool.queue.length > 0 && pool.active < pool.limit && !(this.paused && pool === this.scans)) {
+            let task: QueuedTask = pool.queue.shift();
+            let released: boolean = false;
+
+            pool.active++;
+            task.run(() => {
+                // Releasing a slot more than once would let too many tasks run
+                if (released) {
+                    return;
+                }
+
+                released = true;
+                pool.active--;
+                this.next(pool);
+            });
+        }
+    }
+}
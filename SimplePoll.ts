@@ -9,51 +9,402 @@
 
 // Node modules
 import path = require("path");
-import fs = require("fs");
+import events = require("events");
+import crypto = require("crypto");
 
 // Dependency modules
 import async = require("async");
-import readdir = require("async-readdir");
+import minimatch = require("minimatch");
 
-// Object to store SimplePoll instance references so that they don't
-// get garbage collected
-let pollHandles: { [path: string]: SimplePoll } = {};
+// SimplePoll modules
+import { JsonStateStore } from "./StateStore";
+import { Scheduler } from "./Scheduler";
+import { NodeFileSystem, MemoryFileSystem } from "./FileSystem";
 
-// Tracks file mtimes
-let fileModTimes: { [path: string]: number } = {};
+export { JsonStateStore, Scheduler, NodeFileSystem, MemoryFileSystem };
+
+// Object to store SimplePoll instance references (by handle ID) so that they
+// don't get garbage collected
+let pollHandles: { [id: number]: SimplePoll } = {};
+
+// Scheduler shared by the instances created with create()
+let scheduler: Scheduler = new Scheduler();
+
+// Handle ID to assign to the next SimplePoll instance
+let nextHandleId: number = 1;
+
+// Tests a path (relative to the watched directory, using forward slashes) against a pattern
+type PathMatcher = (relativePath: string) => boolean;
+
+// A new or modified file that's being held back until it stops changing
+interface PendingWrite {
+    mtimeMs: number;
+    size: number;
+    since: number;
+    polls: number;
+}
+
+// A chunk of changes to deliver to the callback and listeners
+interface ChangeBatch {
+    files: string[];
+    changes: ChangeSet;
+}
+
+interface BatchEntry {
+    file: string;
+    change: ChangeType;
+    from?: string;
+    entry?: FileEntry;
+}
+
+// Directories whose mtime is at least this old (in msec) when they're read can have their
+// listing reused, since anything changing them later is guaranteed a newer mtime even on
+// file systems with coarse timestamps
+const DIRECTORY_MTIME_GRANULARITY: number = 2000;
+
+// A directory listing that's reused while the directory's mtime stays the same
+interface DirectoryListing {
+    mtimeMs: number;
+    names: string[];
+}
+
+// An entry waiting to be stat'ed by a directory walk. Roots are the watched paths themselves
+interface WalkEntry {
+    file: string;
+    ancestors: string[];
+    root: boolean;
+}
+
+// A directory waiting to be read by a directory walk
+interface WalkDirectory {
+    directory: string;
+    mtimeMs: number;
+    ancestors: string[];
+}
+
+// State of a directory walk, kept between polls when the walk is spread over several of them
+interface TreeWalk {
+    entries: WalkEntry[];
+    directories: WalkDirectory[];
+    files: { [path: string]: FileStats };
+    readDirectories: { [path: string]: boolean };
+    missingRoots: number;
+    missingError: NodeJS.ErrnoException;
+}
+
+/**
+ * Directory watcher. Besides calling `config.pollCallback`, instances emit the
+ * following events:
+ * - "add" (file), "change" (file) and "unlink" (file) for every changed file
+ * - "rename" (from, to) for every renamed or moved file (see detectRenames)
+ * - "poll" (files, changes) after every completed directory poll
+ * - "ready" once the startup scan has completed
+ * - "error" (error) for errors encountered during startup or while polling
+ */
+export class SimplePoll extends events.EventEmitter {
+    /** Unique handle ID, used to retrieve or destroy this instance */
+    readonly id: number;
 
-export class SimplePoll {
     // Config settings
-    private path: string;
-    private extension: string;
+    readonly path: string | string[];
+    private roots: string[];
+    private extensions: string[];
+    private include: PathMatcher[];
+    private exclude: PathMatcher[];
+    private filter: FileFilter;
+    private compare: CompareMethod;
+    private hashAlgorithm: string;
+    private hashMaxSize: number;
+    private awaitWriteFinish: AwaitWriteFinishOptions;
+    private stateStore: StateStore;
+    private initialScan: InitialScanMode;
+    private depth: number;
+    private followSymlinks: boolean;
+    private reportDirectories: boolean;
+    private statConcurrency: number;
+    private cacheDirectoryListings: boolean;
+    private scanBudget: number;
+    private adaptiveInterval: AdaptiveIntervalOptions;
+    private backoff: BackoffOptions;
+    private jitter: number;
+    private batch: BatchOptions;
+    private waitForCallback: boolean;
+    private detectRenames: RenameDetection;
+    private priority: number;
+    private fileSystem: FileSystemAdapter;
     private timerPeriod: number;
+    private fileEntries: boolean;
     private sort: boolean;
-    private sortMethod: SortMethod;
+    private sortMethod: SortMethod | EntrySortMethod;
     private pollCallback: PollCallback;
 
+    private persistent: boolean;
+
     private pollTimer: NodeJS.Timer;
+    private polling: boolean;
+
+    // Whether polls should keep being scheduled (start() has been called since the last stop()),
+    // whether changes are being held back (see pause()) and whether the watcher has been destroyed
+    private active: boolean;
+    private paused: boolean;
+    private destroyed: boolean;
+
+    // Cancels a poll that's still waiting for the scheduler, resolves the promises waiting for polls to finish,
+    // and counts the pollOnce() scans that are queued or running
+    private cancelQueuedPoll: () => void;
+    private idleCallbacks: Array<() => void>;
+    private pendingScans: number;
+
+    // Limits the scans and stat calls of all the watchers sharing it (if any)
+    private scheduler: Scheduler;
+
+    // Period to wait before the next poll (see adaptiveInterval) and how many polls in a row have failed
+    private currentPeriod: number;
+    private consecutiveErrors: number;
+
+    // Statistics reported by getStats()
+    private pollCount: number;
+    private lastPollStart: number;
+    private lastPollEnd: number;
+    private lastPollDuration: number;
+    private lastPollFilesStatted: number;
+    private filesStatted: number;
+    private changesReported: number;
+    private lastError: NodeJS.ErrnoException;
+
+    // Tracks the last known state of each file
+    private snapshot: FileSnapshot;
+
+    // Changes that haven't been delivered yet (see batch), by file, and when the first one was found
+    private pendingChanges: { [path: string]: ChangeType };
+    private pendingRenames: { [path: string]: string };
+    private pendingEntries: { [path: string]: FileEntry };
+    private batchStart: number;
+
+    // Renamed files that have been modified since, and files that were removed before another
+    // file was renamed onto their path (with their entries, if any), which are reported as well
+    private pendingRenameChanges: { [path: string]: boolean };
+    private pendingReplaced: { [path: string]: FileEntry };
+
+    // Directory listings to reuse and the walk that's in progress (see scanBudget)
+    private directoryListings: { [path: string]: DirectoryListing };
+    private walk: TreeWalk;
+
+    // Whether one of the watcher's scans is running, and the scans waiting for it to finish
+    private scanning: boolean;
+    private waitingScans: Array<(release: () => void) => void>;
+
+    // Tracks files that haven't been reported yet because they're still being written
+    private pendingWrites: { [path: string]: PendingWrite };
+    private tempFiles: { [path: string]: boolean };
 
     private startupInit: boolean;
-    private startupTimerRequest: boolean;
+    private startupError: NodeJS.ErrnoException;
+    private initialScanPending: boolean;
+
+    /**
+     * @param config Poll settings to use with directory
+     * @param scheduler Optional scheduler to share with other watchers (see create())
+     */
+    constructor(config: SimplePollConfig, scheduler?: Scheduler) {
+        super();
+
+        if (!config || !config.path || toArray(config.path).length === 0 ||
+            toArray(config.path).some((file: string) => { return !file || typeof file !== "string"; })) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.compare && ["mtime", "stat", "hash"].indexOf(config.compare) === -1) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.hashAlgorithm && crypto.getHashes().indexOf(config.hashAlgorithm) === -1) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.initialScan && ["ignore", "emit"].indexOf(config.initialScan) === -1) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.depth !== undefined && !(config.depth >= 0)) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if ((config.statConcurrency !== undefined && !(config.statConcurrency >= 1)) ||
+            (config.scanBudget !== undefined && !(config.scanBudget >= 1))) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.jitter !== undefined && !(config.jitter >= 0 && config.jitter <= 1)) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.detectRenames && config.detectRenames !== true && ["inode", "content"].indexOf(config.detectRenames) === -1) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        // Matching files by content needs their hashes
+        if (config.detectRenames === "content" && config.compare !== "hash") {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.fileSystem && (typeof config.fileSystem.stat !== "function" || typeof config.fileSystem.lstat !== "function" ||
+            typeof config.fileSystem.readdir !== "function")) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        // Hashing files needs their contents
+        if (config.fileSystem && config.compare === "hash" && typeof config.fileSystem.createReadStream !== "function") {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        if (config.priority !== undefined && !isFinite(config.priority)) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
 
-    constructor(config: SimplePollConfig) {
-        if (!config || !config.path || !config.pollCallback) {
+        if (config.batch && ((config.batch.window !== undefined && !(config.batch.window >= 0)) ||
+            (config.batch.maxSize !== undefined && !(config.batch.maxSize >= 1)))) {
             throw new Error("Invalid SimplePoll configuration");
         }
 
+        if (config.stateStore && typeof config.stateStore !== "string" &&
+            (typeof config.stateStore.load !== "function" || typeof config.stateStore.save !== "function")) {
+            throw new Error("Invalid SimplePoll configuration");
+        }
+
+        this.id = nextHandleId++;
+        this.snapshot = {};
+        this.pendingChanges = {};
+        this.pendingRenames = {};
+        this.pendingEntries = {};
+        this.batchStart = null;
+        this.pendingRenameChanges = {};
+        this.pendingReplaced = {};
+        this.directoryListings = {};
+        this.walk = null;
+        this.scanning = false;
+        this.waitingScans = [];
+        this.pendingWrites = {};
+        this.tempFiles = {};
         this.startupInit = true;
-        this.startupTimerRequest = false;
+        this.active = false;
+        this.paused = false;
+        this.destroyed = false;
+        this.cancelQueuedPoll = null;
+        this.idleCallbacks = [];
+        this.pendingScans = 0;
+        this.startupError = null;
+        this.initialScanPending = false;
 
         this.path = config.path;
-        this.extension = config.extension || null;
+        this.roots = toArray(config.path).map((file: string) => { return path.resolve(file); });
+        this.extensions = toArray(config.extension);
+        this.include = [];
+        this.exclude = toArray(config.exclude).map(createMatcher);
+        this.filter = config.filter || null;
+
+        // Negated include globs (e.g. "!**/node_modules/**") are exclusions
+        toArray(config.include).forEach((pattern: PathPattern) => {
+            if (typeof pattern === "string" && pattern.startsWith("!")) {
+                this.exclude.push(createMatcher(pattern.slice(1)));
+            }
+            else {
+                this.include.push(createMatcher(pattern));
+            }
+        });
+        this.compare = config.compare || "mtime";
+        this.hashAlgorithm = config.hashAlgorithm || "sha1";
+        this.hashMaxSize = config.hashMaxSize >= 0 ? config.hashMaxSize : null;
+        this.awaitWriteFinish = null;
+        this.stateStore = typeof config.stateStore === "string" ? new JsonStateStore(config.stateStore) : config.stateStore || null;
+        this.initialScan = config.initialScan || "ignore";
+        this.depth = config.depth !== undefined ? Math.floor(config.depth) : Infinity;
+        this.followSymlinks = config.followSymlinks !== false;
+        this.reportDirectories = config.reportDirectories || false;
+        this.statConcurrency = config.statConcurrency !== undefined ? Math.floor(config.statConcurrency) : 10;
+        this.cacheDirectoryListings = config.cacheDirectoryListings || false;
+        this.scanBudget = config.scanBudget !== undefined ? Math.floor(config.scanBudget) : Infinity;
+
+        if (config.awaitWriteFinish) {
+            let options: AwaitWriteFinishOptions = config.awaitWriteFinish === true ? {} : config.awaitWriteFinish;
+
+            this.awaitWriteFinish = {
+                stabilityThreshold: options.stabilityThreshold || 0,
+                stablePolls: options.stablePolls >= 0 ? options.stablePolls : 1,
+                tempExtensions: options.tempExtensions || []
+            };
+        }
+        this.adaptiveInterval = null;
+        this.backoff = null;
+        this.jitter = config.jitter || 0;
+
+        if (config.adaptiveInterval) {
+            let options: AdaptiveIntervalOptions = config.adaptiveInterval === true ? {} : config.adaptiveInterval;
+
+            this.adaptiveInterval = {
+                minPeriod: options.minPeriod || config.timerPeriod / 10,
+                maxPeriod: options.maxPeriod || config.timerPeriod,
+                decay: options.decay || 2
+            };
+
+            if (!(this.adaptiveInterval.minPeriod > 0) || !(this.adaptiveInterval.maxPeriod >= this.adaptiveInterval.minPeriod) ||
+                !(this.adaptiveInterval.decay >= 1)) {
+                throw new Error("Invalid SimplePoll configuration");
+            }
+        }
+
+        if (config.backoff) {
+            let options: BackoffOptions = config.backoff === true ? {} : config.backoff;
+
+            this.backoff = {
+                factor: options.factor || 2,
+                maxPeriod: options.maxPeriod || config.timerPeriod * 32
+            };
+
+            if (!(this.backoff.factor >= 1)) {
+                throw new Error("Invalid SimplePoll configuration");
+            }
+        }
+
+        this.batch = {
+            window: config.batch && config.batch.window || 0,
+            maxSize: config.batch && config.batch.maxSize ? Math.floor(config.batch.maxSize) : Infinity
+        };
+        this.waitForCallback = config.waitForCallback || false;
+        this.detectRenames = config.detectRenames === true ? "inode" : config.detectRenames || null;
+        this.priority = config.priority || 0;
+        this.fileSystem = config.fileSystem || new NodeFileSystem();
+        this.scheduler = scheduler || null;
+
         this.timerPeriod = config.timerPeriod;
+        this.currentPeriod = config.timerPeriod;
+        this.consecutiveErrors = 0;
+        this.polling = false;
+        this.pollCount = 0;
+        this.lastPollStart = null;
+        this.lastPollEnd = null;
+        this.lastPollDuration = null;
+        this.lastPollFilesStatted = 0;
+        this.filesStatted = 0;
+        this.changesReported = 0;
+        this.lastError = null;
+        this.fileEntries = config.fileEntries || false;
+        this.persistent = config.persistent || false;
         this.sort = config.sort;
-        this.pollCallback = config.pollCallback;
+        this.pollCallback = config.pollCallback || null;
 
         if (config.sort) {
             if (config.sortMethod) {
                 this.sortMethod = config.sortMethod;
             }
+            else if (this.fileEntries) {
+                // Entries are sorted by path, the same as files are without fileEntries
+                this.sortMethod = (input: FileEntry[], sortMethodCallback: (error: NodeJS.ErrnoException, results: FileEntry[]) => void) => {
+                    return sortMethodCallback(null, input.sort((a: FileEntry, b: FileEntry) => {
+                        return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+                    }));
+                };
+            }
             else {
                 // As a default, use standard inefficient sort algorithm if it wasn't defined
                 this.sortMethod = (input: string[], sortMethodCallback: (error: NodeJS.ErrnoException, results: string[]) => void) => {
@@ -64,180 +415,1640 @@ export class SimplePoll {
 
         let self: SimplePoll = this;
 
-        readdir.read(self.path, (error: NodeJS.ErrnoException, files: string[]) => {
-            if (error) {
-                throw error;
-            }
+        // Startup errors are emitted rather than passed to the callback. If there
+        // aren't any "error" listeners, EventEmitter throws them instead
+        async.waterfall([
+            function loadSnapshot(loadSnapshotCallback: (error: NodeJS.ErrnoException, snapshot: FileSnapshot) => void) {
+                if (!self.stateStore) {
+                    return loadSnapshotCallback(null, null);
+                }
+
+                self.stateStore.load(loadSnapshotCallback);
+            },
+            function createSnapshot(snapshot: FileSnapshot, createSnapshotCallback: (error: NodeJS.ErrnoException, snapshot: FileSnapshot) => void) {
+                // The startup snapshot needs every file, so its walk isn't spread over several ticks
+                self.queueScan((release: () => void) => self.readTree(Infinity, (error: NodeJS.ErrnoException, files: { [path: string]: FileStats }) => {
+                    release();
+
+                    if (error) {
+                        return createSnapshotCallback(error, undefined);
+                    }
 
-            async.eachLimit(files, 10, (file: string, eachCallback: (error: NodeJS.ErrnoException) => void) => {
-                if (file.endsWith(self.extension)) {
-                    fs.stat(file, (error: NodeJS.ErrnoException, stats: fs.Stats) => {
+                    self.findRenamedTempFiles(files);
+
+                    // A saved snapshot is compared against on the first poll so that changes
+                    // made while the process wasn't running get reported
+                    if (snapshot) {
+                        self.snapshot = snapshot;
+                        return createSnapshotCallback(null, snapshot);
+                    }
+
+                    // Starting with an empty snapshot makes the first poll report every existing file
+                    if (self.initialScan === "emit") {
+                        self.snapshot = {};
+                        self.initialScanPending = true;
+                        return createSnapshotCallback(null, self.snapshot);
+                    }
+
+                    self.createRecords(files, (error: NodeJS.ErrnoException, records: FileSnapshot) => {
                         if (error) {
-                            return eachCallback(error);
+                            return createSnapshotCallback(error, undefined);
                         }
 
-                        fileModTimes[file] = stats.mtimeMs;
-                        return eachCallback(null);
+                        return self.saveSnapshot(records, (error: NodeJS.ErrnoException) => {
+                            return createSnapshotCallback(error, records);
+                        });
                     });
-                }
-                else {
-                    return eachCallback(null);
-                }
-            }, function (error: NodeJS.ErrnoException) {
-                if (error) {
-                    throw error;
-                }
+                }));
+            }
+        ], function (error: NodeJS.ErrnoException) {
+            if (error) {
+                self.startupError = error;
+                return self.reportError(error);
+            }
 
-                self.startupInit = false;
+            self.startupInit = false;
+            self.emit("ready");
 
-                if (self.startupTimerRequest) {
-                    return self.start();
-                }
-            });
+            if (self.active) {
+                return self.start();
+            }
         });
     }
 
-    /** Queues the next directory poll timer */
+    /** Queues the next directory poll timer. Destroyed watchers can't be started again. */
     start = () => {
-        // Don't start if timer is already running
-        if (this.pollTimer) {
+        if (this.destroyed) {
+            return;
+        }
+
+        this.active = true;
+
+        // Don't start if timer is already running, or a poll is (it queues the next one once it's done)
+        if (this.pollTimer || this.polling) {
             return;
         }
 
         // Don't allow the user to start the timer until startup process has completed
         if (this.startupInit) {
-            this.startupTimerRequest = true;
             return;
         }
 
-        this.pollTimer = setTimeout(this.poll, this.timerPeriod);
-        this.pollTimer.unref();
+        // Existing files are reported straight away if they're being emitted on startup
+        this.schedulePoll(this.initialScanPending ? 0 : this.nextDelay());
+    }
+
+    /** Stops polling. A poll that's already running isn't restarted afterwards, and one
+     *  that's still waiting for the scheduler is cancelled. Returns a promise that
+     *  resolves once a running poll has finished delivering its changes, and any other
+     *  scans (e.g. pollOnce()) that are queued or running have finished.
+     */
+    stop = (): Promise<void> => {
+        this.active = false;
+
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.pollTimer = null;
+        }
+
+        if (this.cancelQueuedPoll) {
+            this.cancelQueuedPoll();
+        }
+
+        return this.whenIdle();
     }
 
-    /** Stops the pending directory poll timer */
-    stop = () => {
-        if (!this.pollTimer) {
+    /** Holds back changes instead of passing them to the callback and listeners. Polling
+     *  carries on and the changes found while paused are merged per file (like a batch),
+     *  so nothing is lost: they're delivered together once the watcher is resumed.
+     */
+    pause = () => {
+        this.paused = true;
+    }
+
+    /** Delivers the changes held back while paused, bringing the next poll forward */
+    resume = () => {
+        if (!this.paused) {
             return;
         }
 
-        clearTimeout(this.pollTimer);
-        this.pollTimer = null;
+        this.paused = false;
+
+        if (this.pollTimer) {
+            clearTimeout(this.pollTimer);
+            this.schedulePoll(0);
+        }
     }
 
-    /** Polls the directory, removes files without appropriate extension and sorts
-     *  if necessary. Calling function takes care of starting and stopping the timer.
+    /** Stops polling for good and removes the watcher from the ones kept by create().
+     *  Changes found by a poll that's already running (or held back by a batch or pause())
+     *  are dropped. Returns a promise that resolves once a running poll has finished.
      */
-    private scanDir = (scanDirCallback: (error: NodeJS.ErrnoException, files: string[]) => void) => {
-        let self: SimplePoll = this;
+    destroy = (): Promise<void> => {
+        this.destroyed = true;
+        this.pendingChanges = {};
+        this.pendingRenames = {};
+        this.pendingEntries = {};
+        this.batchStart = null;
+        this.pendingRenameChanges = {};
+        this.pendingReplaced = {};
 
-        async.waterfall([
-            function getFileList(getFileListCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
-                readdir.read(self.path, getFileListCallback);
-            },
-            function filterFiles(files: string[], filterFilesCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
-                // Skip if no files were found or extension filtering isn't required
-                if (files.length === 0 || !self.extension) {
-                    return filterFilesCallback(null, files);
-                }
-
-                async.filterLimit(files, 10, (file, filterCallback) => {
-                    // Remove files without correct extension
-                    // Use setTimeout() here because Async module has a bug when
-                    // filtering more than a few thousand items
-                    if (file.endsWith(self.extension)) {
-                        fs.stat(file, (error: NodeJS.ErrnoException, stats: fs.Stats) => {
-                            if (error) {
-                                return filterCallback(error);
-                            }
-
-                            // If file is new or if it's been modified, keep it
-                            if (!fileModTimes[file] || fileModTimes[file] < stats.mtimeMs) {
-                                fileModTimes[file] = stats.mtimeMs;
-                                return setTimeout(() => { return filterCallback(null, true); }, 0);
-                            }
-                            else {
-                                return setTimeout(() => { return filterCallback(null, false); }, 0);
-                            }
-                        });
+        if (pollHandles[this.id] === this) {
+            delete pollHandles[this.id];
+        }
+
+        return this.stop();
+    }
+
+    /** Reports what the watcher is doing and how its polls have gone, for monitoring */
+    getStats = (): WatcherStats => {
+        let state: WatcherState = "stopped";
+
+        if (this.startupInit && !this.startupError) {
+            state = "initializing";
+        }
+        else if (this.paused && (this.pollTimer || this.polling)) {
+            state = "paused";
+        }
+        else if (this.pollTimer || this.polling) {
+            state = "running";
+        }
+
+        return {
+            id: this.id,
+            path: this.path,
+            state: state,
+            trackedFiles: Object.keys(this.snapshot).length,
+            period: this.currentPeriod,
+            polls: this.pollCount,
+            lastPollStart: this.lastPollStart,
+            lastPollEnd: this.lastPollEnd,
+            lastPollDuration: this.lastPollDuration,
+            lastPollFilesStatted: this.lastPollFilesStatted,
+            filesStatted: this.filesStatted,
+            changesReported: this.changesReported,
+            consecutiveErrors: this.consecutiveErrors,
+            lastError: this.lastError
+        };
+    }
+
+    /** Returns a promise that resolves once the startup scan has completed, or
+     *  rejects with the error that stopped it from completing.
+     */
+    whenReady = (): Promise<void> => {
+        if (this.startupError) {
+            return Promise.reject(this.startupError);
+        }
+
+        if (!this.startupInit) {
+            return Promise.resolve();
+        }
+
+        return new Promise<void>((resolve, reject) => {
+            let onReady = () => {
+                this.removeListener("error", onError);
+                resolve();
+            };
+            let onError = (error: NodeJS.ErrnoException) => {
+                this.removeListener("ready", onReady);
+                reject(error);
+            };
+
+            this.once("ready", onReady);
+            this.once("error", onError);
+        });
+    }
+
+    /** Polls the directory immediately and resolves with the changes found. The
+     *  changes are only passed to the promise, not to the callback or any listeners.
+     *  Once the watcher is destroyed, it resolves without any changes.
+     */
+    pollOnce = (): Promise<ChangeSet> => {
+        return this.whenReady().then(() => {
+            return new Promise<ChangeSet>((resolve, reject) => {
+                let finish = (error: NodeJS.ErrnoException, changes: ChangeSet) => {
+                    this.pendingScans--;
+
+                    if (error) {
+                        reject(error);
                     }
                     else {
-                        return setTimeout(() => { return filterCallback(null, false); }, 0);
+                        resolve(changes);
                     }
-                }, filterFilesCallback);
-            },
-            function sortFiles(files: string[], sortFilesCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
-                if (!files || files.length < 2 || !self.sort) {
-                    return sortFilesCallback(null, files);
-                }
 
-                return self.sortMethod(files, sortFilesCallback);
-            }
-        ], function(error: NodeJS.ErrnoException, files: string[]) {
-            scanDirCallback(error, files);
+                    this.checkIdle();
+                };
+
+                this.pendingScans++;
+                this.queueScan((release: () => void) => {
+                    // A destroyed watcher's scans are dropped, whether they've started or not
+                    if (this.destroyed) {
+                        release();
+                        return finish(null, { added: [], modified: [], removed: [], renamed: [] });
+                    }
+
+                    this.scanDir((error, files, changes) => {
+                        release();
+
+                        // Same as poll(), a file disappearing mid-scan isn't worth reporting, and
+                        // neither is anything found once the watcher's been destroyed
+                        if (this.destroyed || (error && error.code === "ENOENT")) {
+                            return finish(null, { added: [], modified: [], removed: [], renamed: [] });
+                        }
+
+                        return finish(error, changes);
+                    });
+                });
+            });
         });
     }
 
-    /** Timer callback that's responsible for polling the directory and restarting the timer. */
-    private poll = () => {
-        this.stop();
+    /** Iterates over batches of changes (for await...of). Iterating takes over from the
+     *  poll timer: the next poll isn't queued until the previous batch has been consumed.
+     *  Polls without any changes aren't yielded. Iteration ends once the watcher is destroyed.
+     */
+    async *[Symbol.asyncIterator](): AsyncIterableIterator<ChangeSet> {
+        // A timer poll that's already running has to finish before the first iteration polls
+        await this.stop();
 
-        this.scanDir((error, files) => {
-            // If any errors occurred, pass them up to the callback for handling
-            // We shouldn't care if the directory doesn't exist yet so don't pass that error up
-            if ((error && error.code !== "ENOENT") || files.length > 0) {
-                this.pollCallback(error, files);
+        await this.whenReady();
+
+        while (!this.destroyed) {
+            await new Promise<void>((resolve) => { setTimeout(resolve, this.initialScanPending ? 0 : this.nextDelay()); });
+
+            if (this.destroyed) {
+                return;
             }
 
-            return this.start();
-        });
-    }
-}
+            let changes: ChangeSet = await this.pollOnce();
 
-/**
- * Creates a new SimplePoll instance (use instead of "new" keyword). It won't
- * overwrite an existing instance if one has already been created for the directory
- * @param config Poll settings to use with directory
- * @returns {SimplePoll} Returns reference to newly created SimplePoll instance
- */
-export function create(config: SimplePollConfig): SimplePoll {
-    if (!config || !config.path || !config.pollCallback) {
-        throw new Error("Invalid SimplePoll configuration");
-    }
+            if (this.destroyed) {
+                return;
+            }
 
-    // Don't overwrite if it already exists (just return existing handle after)
-    if (!pollHandles[config.path]) {
-        pollHandles[config.path] = new SimplePoll(config);
+            this.updatePeriod(null, changes);
 
-        pollHandles[config.path].start();
+            if (hasChanges(changes)) {
+                yield changes;
+            }
+        }
     }
 
-    return pollHandles[config.path];
-}
+    /** Works out how long to wait before the next poll: the current period, backed off
+     *  while polls keep failing and with some jitter so that watchers created at the same
+     *  time don't all poll at the same time.
+     */
+    private nextDelay = (): number => {
+        let delay: number = this.currentPeriod;
 
-/**
- * Destroys the SimplePoll instance for the given directory
- * @param directory Directory to delete
- */
-export function destroy(directory: string): void {
-    if (!directory || !getHandle(directory)) {
-        return;
-    }
+        if (this.backoff && this.consecutiveErrors > 0) {
+            delay = Math.min(this.backoff.maxPeriod, delay * Math.pow(this.backoff.factor, this.consecutiveErrors));
+        }
 
-    getHandle(directory).stop();
-    delete pollHandles[directory];
-}
+        if (this.jitter > 0) {
+            delay *= 1 + (Math.random() * 2 - 1) * this.jitter;
+        }
 
-/**
- * Retrieves the SimplePoll instance for the given directory. Returns {null}
- * if no instance exists.
- * @param directory Directory to retrieve SimplePoll instance for
- * @returns {SimplePoll} Returns reference to SimplePoll instance
- */
-export function getHandle(directory: string): SimplePoll {
-    if (pollHandles[directory]) {
-        return pollHandles[directory];
+        return Math.round(delay);
     }
-    else {
-        return null;
+
+    /** Keeps count of failed polls and, with adaptiveInterval, speeds polling up after
+     *  changes are found and slows it back down while nothing changes.
+     */
+    private updatePeriod = (error: NodeJS.ErrnoException, changes: ChangeSet) => {
+        if (error) {
+            this.consecutiveErrors++;
+            return;
+        }
+
+        this.consecutiveErrors = 0;
+
+        if (!this.adaptiveInterval) {
+            return;
+        }
+
+        if (hasChanges(changes)) {
+            this.currentPeriod = this.adaptiveInterval.minPeriod;
+        }
+        else {
+            this.currentPeriod = Math.min(this.adaptiveInterval.maxPeriod, this.currentPeriod * this.adaptiveInterval.decay);
+        }
     }
+
+    /** Polls the directory, removes files that don't pass the filters and sorts
+     *  if necessary. Files that were tracked on the previous poll but are no longer
+     *  found are reported as removed (only once a walk spread over several polls has
+     *  been completed), or as renamed if they turn up somewhere else (see detectRenames).
+     *  Calling function takes care of starting and stopping the timer.
+     */
+    private scanDir = (scanDirCallback: (error: NodeJS.ErrnoException, files: string[], changes: ChangeSet) => void) => {
+        let self: SimplePoll = this;
+        let listedFiles: { [path: string]: FileStats } = null;
+        let newFiles: { [path: string]: boolean } = {};
+        let renamedFiles: { [path: string]: boolean } = {};
+        let removedFiles: string[] = [];
+        let moveSources: { [key: string]: string } = {};
+        let movedFrom: { [path: string]: string } = {};
+        let foundFiles: { [path: string]: FileStats } = {};
+        let previousRecords: FileSnapshot = {};
+        let updatedRecords: FileSnapshot = {};
+        let entries: { [path: string]: FileEntry } = null;
+
+        this.initialScanPending = false;
+        this.lastPollStart = Date.now();
+        this.lastPollFilesStatted = 0;
+
+        async.waterfall([
+            function getFileList(getFileListCallback: (error: NodeJS.ErrnoException, files: { [path: string]: FileStats }) => void) {
+                self.readTree(self.scanBudget, (error: NodeJS.ErrnoException, files: { [path: string]: FileStats }, listed: { [path: string]: FileStats }) => {
+                    // A missing directory means everything that was in it has been removed, unless backing
+                    // off: then it fails the poll (e.g. an unmounted share) and its files are kept
+                    if (error && error.code === "ENOENT" && !self.backoff) {
+                        listedFiles = {};
+                        return getFileListCallback(null, {});
+                    }
+
+                    listedFiles = listed;
+                    return getFileListCallback(error, files);
+                });
+            },
+            function snapshotFiles(files: { [path: string]: FileStats }, snapshotFilesCallback: (error: NodeJS.ErrnoException, records: FileSnapshot) => void) {
+                foundFiles = files;
+                renamedFiles = self.findRenamedTempFiles(files);
+
+                // Tracked files that have disappeared might have been moved to one of the new files
+                if (self.detectRenames && listedFiles) {
+                    Object.keys(self.snapshot).forEach((file: string) => {
+                        if (!listedFiles[file]) {
+                            self.renameKeys(self.snapshot[file]).forEach((key: string) => {
+                                moveSources[key] = moveSources[key] || file;
+                            });
+                        }
+                    });
+                }
+
+                self.createRecords(files, snapshotFilesCallback);
+            },
+            function filterFiles(records: FileSnapshot, filterFilesCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
+                return filterFilesCallback(null, Object.keys(records).filter((file: string) => {
+                    let previous: FileRecord = self.snapshot[file];
+                    let source: string = previous ? null : self.findMoveSource(records[file], moveSources);
+
+                    // A moved file was already complete before it was moved, so it isn't held back
+                    if (source) {
+                        self.renameKeys(self.snapshot[source]).forEach((key: string) => {
+                            delete moveSources[key];
+                        });
+
+                        delete self.pendingWrites[file];
+                        movedFrom[file] = source;
+                        previousRecords[file] = self.snapshot[source];
+                        updatedRecords[file] = records[file];
+                        return true;
+                    }
+
+                    // If file is new or if it's been modified, keep it (once it's been
+                    // completely written if that's required)
+                    if (!previous || self.hasChanged(previous, records[file])) {
+                        if (self.awaitWriteFinish && !renamedFiles[file] && !self.isWriteFinished(file, records[file])) {
+                            return false;
+                        }
+
+                        delete self.pendingWrites[file];
+
+                        if (!previous) {
+                            newFiles[file] = true;
+                        }
+
+                        previousRecords[file] = previous || null;
+                        updatedRecords[file] = records[file];
+                        return true;
+                    }
+
+                    return false;
+                }));
+            },
+            function findRemovedFiles(files: string[], findRemovedFilesCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
+                // Files can only be missing once the whole tree has been walked
+                if (!listedFiles) {
+                    return findRemovedFilesCallback(null, files);
+                }
+
+                removedFiles = Object.keys(self.snapshot).filter((file: string) => {
+                    return !listedFiles[file];
+                });
+
+                removedFiles.forEach((file: string) => {
+                    previousRecords[file] = self.snapshot[file];
+                });
+
+                Object.keys(movedFrom).forEach((file: string) => {
+                    removedFiles.splice(removedFiles.indexOf(movedFrom[file]), 1);
+                });
+
+                // Files that disappear before they were completely written are never reported
+                Object.keys(self.pendingWrites).forEach((file: string) => {
+                    if (!listedFiles[file]) {
+                        delete self.pendingWrites[file];
+                    }
+                });
+
+                return findRemovedFilesCallback(null, files);
+            },
+            function createEntries(files: string[], createEntriesCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
+                if (!self.fileEntries) {
+                    return createEntriesCallback(null, files);
+                }
+
+                entries = {};
+                files.forEach((file: string) => {
+                    let change: ChangeType = movedFrom[file] ? "rename" : newFiles[file] ? "add" : "change";
+
+                    entries[file] = self.createEntry(file, change, foundFiles[file], previousRecords[file], movedFrom[file]);
+                });
+                removedFiles.forEach((file: string) => {
+                    entries[file] = self.createEntry(file, "unlink", null, previousRecords[file]);
+                });
+
+                return createEntriesCallback(null, files);
+            },
+            function saveSnapshot(files: string[], saveSnapshotCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
+                if (files.length === 0 && removedFiles.length === 0) {
+                    return saveSnapshotCallback(null, files);
+                }
+
+                // The snapshot is only updated once it's been saved, so the changes of a poll
+                // whose save fails are found again by the next poll instead of being lost
+                let snapshot: FileSnapshot = Object.assign({}, self.snapshot, updatedRecords);
+
+                removedFiles.concat(Object.keys(movedFrom).map((file: string) => { return movedFrom[file]; })).forEach((file: string) => {
+                    delete snapshot[file];
+                });
+
+                self.saveSnapshot(snapshot, (error: NodeJS.ErrnoException) => {
+                    return saveSnapshotCallback(error, files);
+                });
+            },
+            function sortFiles(files: string[], sortFilesCallback: (error: NodeJS.ErrnoException, files: string[]) => void) {
+                self.sortLists(files, removedFiles, entries, null, (error: NodeJS.ErrnoException, sortedFiles: string[], sortedRemovedFiles: string[]) => {
+                    removedFiles = sortedRemovedFiles;
+                    return sortFilesCallback(error, sortedFiles);
+                });
+            }
+        ], function(error: NodeJS.ErrnoException, files: string[]) {
+            self.pollCount++;
+            self.lastPollEnd = Date.now();
+            self.lastPollDuration = self.lastPollEnd - self.lastPollStart;
+
+            if (error) {
+                self.lastError = error;
+                return scanDirCallback(error, undefined, undefined);
+            }
+
+            let changedFiles: string[] = files.filter((file: string) => { return !movedFrom[file]; });
+            let changes: ChangeSet = {
+                added: changedFiles.filter((file: string) => { return newFiles[file]; }),
+                modified: changedFiles.filter((file: string) => { return !newFiles[file]; }),
+                removed: removedFiles,
+                renamed: files.filter((file: string) => { return movedFrom[file]; }).map((file: string) => {
+                    return { from: movedFrom[file], to: file };
+                })
+            };
+
+            if (entries) {
+                changes.entries = changedFiles.concat(changes.removed, changes.renamed.map((rename: RenamedFile) => { return rename.to; })).map((file: string) => {
+                    return entries[file];
+                });
+            }
+
+            self.changesReported += changes.added.length + changes.modified.length + changes.removed.length + changes.renamed.length;
+            return scanDirCallback(null, changedFiles, changes);
+        });
+    }
+
+    /** Timer callback that's responsible for polling the directory and restarting the timer
+     *  (unless the watcher has been stopped in the meantime). A destroyed watcher's poll
+     *  doesn't report anything.
+     */
+    private poll = () => {
+        let waiting: boolean = true;
+        let next = () => {
+            this.polling = false;
+            this.cancelQueuedPoll = null;
+            this.checkIdle();
+
+            if (this.active) {
+                return this.start();
+            }
+        };
+
+        this.pollTimer = null;
+        this.polling = true;
+        this.cancelQueuedPoll = () => {
+            if (waiting) {
+                waiting = false;
+                return next();
+            }
+        };
+
+        this.queueScan((release: () => void) => {
+            // The poll was cancelled while it was waiting for the scheduler
+            if (!waiting) {
+                return release();
+            }
+
+            waiting = false;
+            this.scanDir((error, files, changes) => {
+                release();
+
+                if (this.destroyed) {
+                    return next();
+                }
+
+                this.updatePeriod(error, changes);
+
+                if (error) {
+                    // We shouldn't care if the directory doesn't exist (yet or any more) so don't pass that error up
+                    if (error.code !== "ENOENT") {
+                        this.reportError(error);
+                    }
+
+                    return next();
+                }
+
+                this.takeBatch(files, changes, (error: NodeJS.ErrnoException, batchFiles: string[], batchChanges: ChangeSet) => {
+                    if (error) {
+                        this.reportError(error);
+                        return next();
+                    }
+
+                    async.eachSeries(this.splitBatch(batchFiles, batchChanges), this.deliver, () => {
+                        if (!this.destroyed && !this.paused) {
+                            this.emit("poll", files, changes);
+                        }
+
+                        return next();
+                    });
+                });
+            });
+        });
+    }
+
+    /** Sets the timer for the next poll. It only keeps the process running if the watcher is persistent */
+    private schedulePoll = (delay: number) => {
+        this.pollTimer = setTimeout(this.poll, delay);
+
+        if (!this.persistent) {
+            this.pollTimer.unref();
+        }
+    }
+
+    /** Returns a promise that resolves once the poll that's running (if any) has finished,
+     *  along with every other scan that's queued or running
+     */
+    private whenIdle = (): Promise<void> => {
+        if (this.isIdle()) {
+            return Promise.resolve();
+        }
+
+        return new Promise<void>((resolve) => {
+            this.idleCallbacks.push(resolve);
+        });
+    }
+
+    /** Checks that no poll or pollOnce() scan is running or queued */
+    private isIdle = (): boolean => {
+        return !this.polling && this.pendingScans === 0;
+    }
+
+    /** Resolves the whenIdle() promises once nothing is running or queued any more */
+    private checkIdle = () => {
+        if (this.isIdle()) {
+            this.idleCallbacks.splice(0).forEach((callback: () => void) => { callback(); });
+        }
+    }
+
+    /** Runs a scan straight away, or once the watcher's previous scan has finished and the
+     *  scheduler (if any) has a slot for it. Scans never overlap (e.g. pollOnce() during a
+     *  timer poll), so they can't split a walk between them.
+     */
+    private queueScan = (scan: (release: () => void) => void) => {
+        if (this.scanning) {
+            this.waitingScans.push(scan);
+            return;
+        }
+
+        this.scanning = true;
+
+        let run = (release: () => void) => {
+            let released: boolean = false;
+
+            scan(() => {
+                if (released) {
+                    return;
+                }
+
+                released = true;
+                release();
+                this.scanning = false;
+
+                if (this.waitingScans.length > 0) {
+                    this.queueScan(this.waitingScans.shift());
+                }
+            });
+        };
+
+        if (!this.scheduler) {
+            return run(() => { return; });
+        }
+
+        this.scheduler.runScan(this.priority, run);
+    }
+
+    /** Runs a stat or readdir call straight away, or once the scheduler (if any) has a slot for it */
+    private queueStat = (call: (release: () => void) => void) => {
+        if (!this.scheduler) {
+            return call(() => { return; });
+        }
+
+        this.scheduler.runStat(call);
+    }
+
+    /** Adds a poll's changes to the batch and passes on the batch once its window has
+     *  passed (straight away without a window). Changes are merged per file, so a file
+     *  that's added and modified is only reported as added and a file that's added and
+     *  removed again isn't reported at all. Renames are followed back to the file's
+     *  original path. A file's entry keeps the previous mtime from before the batch.
+     *  While the watcher is paused, changes are added to the batch but never passed on.
+     */
+    private takeBatch = (files: string[], changes: ChangeSet, takeBatchCallback: (error: NodeJS.ErrnoException, files: string[], changes: ChangeSet) => void) => {
+        if (this.batch.window === 0 && !this.paused && this.batchStart === null) {
+            return takeBatchCallback(null, files, changes);
+        }
+
+        changes.added.forEach((file: string) => { this.mergeChange(file, "add"); });
+        changes.modified.forEach((file: string) => { this.mergeChange(file, "change"); });
+        changes.removed.forEach((file: string) => { this.mergeChange(file, "unlink"); });
+        changes.renamed.forEach((rename: RenamedFile) => { this.mergeRename(rename.from, rename.to); });
+
+        (changes.entries || []).forEach((entry: FileEntry) => {
+            let earlier: FileEntry = this.pendingEntries[entry.from || entry.path];
+
+            this.pendingEntries[entry.path] = earlier ? Object.assign({}, entry, { previousMtimeMs: earlier.previousMtimeMs }) : entry;
+        });
+
+        if (this.paused || this.batchStart === null || Date.now() - this.batchStart < this.batch.window) {
+            return takeBatchCallback(null, [], { added: [], modified: [], removed: [], renamed: [] });
+        }
+
+        let pendingChanges: { [path: string]: ChangeType } = this.pendingChanges;
+        let pendingRenames: { [path: string]: string } = this.pendingRenames;
+        let pendingRenameChanges: { [path: string]: boolean } = this.pendingRenameChanges;
+        let pendingReplaced: { [path: string]: FileEntry } = this.pendingReplaced;
+        let pendingEntries: { [path: string]: FileEntry } = this.pendingEntries;
+        let pendingFiles: string[] = Object.keys(pendingChanges);
+        let replacedFiles: string[] = Object.keys(pendingReplaced);
+        let batchFiles: string[] = pendingFiles.filter((file: string) => {
+            return pendingChanges[file] === "add" || pendingChanges[file] === "change" || pendingRenameChanges[file];
+        });
+        let removedFiles: string[] = pendingFiles.filter((file: string) => { return pendingChanges[file] === "unlink"; }).concat(replacedFiles);
+        let renamedFiles: string[] = pendingFiles.filter((file: string) => { return pendingChanges[file] === "rename"; });
+        let entries: { [path: string]: FileEntry } = null;
+        let removedEntries: { [path: string]: FileEntry } = null;
+        let renamedEntries: { [path: string]: FileEntry } = null;
+
+        // The merged change (and rename origin) replaces the ones the file's latest poll found
+        let createEntry = (file: string, change: ChangeType, pending: FileEntry): FileEntry => {
+            let entry: FileEntry = this.createEntry(file, change, null, null, pendingRenames[file]);
+
+            if (pending) {
+                entry.size = pending.size;
+                entry.mtimeMs = pending.mtimeMs;
+                entry.previousMtimeMs = pending.previousMtimeMs;
+                entry.stats = pending.stats;
+            }
+
+            return entry;
+        };
+
+        this.pendingChanges = {};
+        this.pendingRenames = {};
+        this.pendingEntries = {};
+        this.pendingRenameChanges = {};
+        this.pendingReplaced = {};
+        this.batchStart = null;
+
+        // A renamed file that has been modified since has an entry for each change, and so
+        // can a file that another file was renamed onto
+        if (this.fileEntries) {
+            entries = {};
+            removedEntries = {};
+            renamedEntries = {};
+            batchFiles.forEach((file: string) => {
+                entries[file] = createEntry(file, pendingRenameChanges[file] ? "change" : pendingChanges[file], pendingEntries[file]);
+            });
+            removedFiles.forEach((file: string) => {
+                removedEntries[file] = createEntry(file, "unlink", pendingReplaced[file] !== undefined ? pendingReplaced[file] : pendingEntries[file]);
+            });
+            renamedFiles.forEach((file: string) => {
+                renamedEntries[file] = createEntry(file, "rename", pendingEntries[file]);
+            });
+        }
+
+        this.sortLists(batchFiles, removedFiles, entries, removedEntries,
+            (error: NodeJS.ErrnoException, sortedFiles: string[], sortedRemovedFiles: string[]) => {
+                if (error) {
+                    return takeBatchCallback(error, undefined, undefined);
+                }
+
+                let changes: ChangeSet = {
+                    added: sortedFiles.filter((file: string) => { return pendingChanges[file] === "add"; }),
+                    modified: sortedFiles.filter((file: string) => { return pendingChanges[file] !== "add"; }),
+                    removed: sortedRemovedFiles,
+                    renamed: renamedFiles.map((file: string) => {
+                        return { from: pendingRenames[file], to: file };
+                    })
+                };
+
+                if (entries) {
+                    changes.entries = sortedFiles.map((file: string) => { return entries[file]; })
+                        .concat(sortedRemovedFiles.map((file: string) => { return removedEntries[file]; }))
+                        .concat(renamedFiles.map((file: string) => { return renamedEntries[file]; }));
+                }
+
+                return takeBatchCallback(null, sortedFiles, changes);
+            });
+    }
+
+    /** Combines a file's pending change with a newer one */
+    private mergeChange = (file: string, change: ChangeType) => {
+        let previous: ChangeType = this.pendingChanges[file];
+
+        if (this.batchStart === null) {
+            this.batchStart = Date.now();
+        }
+
+        if (!previous) {
+            this.pendingChanges[file] = change;
+        }
+        // A file that was added and then removed again never existed as far as the batch is concerned
+        else if (previous === "add") {
+            if (change === "unlink") {
+                delete this.pendingChanges[file];
+            }
+        }
+        // A file that was removed and then added again has been replaced
+        else if (previous === "unlink") {
+            this.pendingChanges[file] = change === "unlink" ? "unlink" : "change";
+        }
+        // A file that was renamed and then removed has been removed from its original path
+        // (and the file it replaced, if any, from the new one)
+        else if (previous === "rename") {
+            if (change === "unlink") {
+                let from: string = this.pendingRenames[file];
+
+                delete this.pendingChanges[file];
+                delete this.pendingRenames[file];
+                delete this.pendingRenameChanges[file];
+
+                if (this.pendingReplaced[file] !== undefined) {
+                    this.pendingChanges[file] = "unlink";
+                    delete this.pendingReplaced[file];
+                }
+
+                this.mergeChange(from, "unlink");
+            }
+            // A file that was renamed and then modified is reported as renamed and then changed
+            else {
+                this.pendingRenameChanges[file] = true;
+            }
+        }
+        else {
+            this.pendingChanges[file] = change === "add" ? "change" : change;
+        }
+    }
+
+    /** Combines a file's pending change with it being renamed */
+    private mergeRename = (from: string, to: string) => {
+        let previous: ChangeType = this.pendingChanges[from];
+        let origin: string = previous === "rename" ? this.pendingRenames[from] : from;
+        let changed: boolean = this.pendingRenameChanges[from] || false;
+        let replaced: boolean = this.pendingReplaced[from] !== undefined;
+
+        delete this.pendingChanges[from];
+        delete this.pendingRenames[from];
+        delete this.pendingRenameChanges[from];
+
+        // A file that a renamed file replaced is still removed when the renamed file moves on
+        if (replaced) {
+            this.pendingChanges[from] = "unlink";
+            delete this.pendingReplaced[from];
+        }
+
+        // A file that was added and then renamed is just added under its new path
+        if (previous === "add") {
+            return this.mergeChange(to, "add");
+        }
+
+        // A file that was modified and then renamed has to be picked up again from its new path
+        if (previous === "change") {
+            this.mergeChange(from, "unlink");
+            return this.mergeChange(to, "add");
+        }
+
+        if (this.batchStart === null) {
+            this.batchStart = Date.now();
+        }
+
+        // A file that was renamed back to its original path hasn't moved at all
+        if (origin === to) {
+            if (changed) {
+                this.pendingChanges[to] = "change";
+            }
+            else {
+                delete this.pendingChanges[to];
+            }
+
+            return;
+        }
+
+        // A file that was removed before another file was renamed onto its path is still reported as removed
+        if (this.pendingChanges[to] === "unlink") {
+            this.pendingReplaced[to] = this.pendingEntries[to] || null;
+        }
+
+        this.pendingChanges[to] = "rename";
+        this.pendingRenames[to] = origin;
+
+        if (changed) {
+            this.pendingRenameChanges[to] = true;
+        }
+    }
+
+    /** Splits a batch of changes into chunks of at most batch.maxSize files. Each chunk's
+     *  files come first, followed by its removed and then its renamed files. Files that were
+     *  modified after being renamed are never delivered in an earlier chunk than the rename.
+     */
+    private splitBatch = (files: string[], changes: ChangeSet): ChangeBatch[] => {
+        let added: { [path: string]: boolean } = {};
+        let renamedTo: { [path: string]: boolean } = {};
+        let entries: BatchEntry[] = [];
+        let chunks: ChangeBatch[] = [];
+        let push = (entry: BatchEntry) => {
+            // File entries are in the same order as the batch's files
+            entry.entry = changes.entries ? changes.entries[entries.length] : undefined;
+            entries.push(entry);
+        };
+        let changedAfterRename = (entry: BatchEntry): boolean => {
+            return entry.change === "change" && renamedTo[entry.file];
+        };
+
+        changes.added.forEach((file: string) => { added[file] = true; });
+        changes.renamed.forEach((rename: RenamedFile) => { renamedTo[rename.to] = true; });
+        files.forEach((file: string) => { push({ file: file, change: added[file] ? "add" : "change" }); });
+        changes.removed.forEach((file: string) => { push({ file: file, change: "unlink" }); });
+        changes.renamed.forEach((rename: RenamedFile) => { push({ file: rename.to, change: "rename", from: rename.from }); });
+
+        entries = entries.filter((entry: BatchEntry) => { return !changedAfterRename(entry); }).concat(entries.filter(changedAfterRename));
+
+        for (let i = 0; i < entries.length; i += this.batch.maxSize) {
+            let chunk: BatchEntry[] = entries.slice(i, i + this.batch.maxSize);
+            let chunkChanges: ChangeSet;
+            let chunkFiles = (change: ChangeType): string[] => {
+                return chunk.filter((entry: BatchEntry) => { return entry.change === change; }).map((entry: BatchEntry) => { return entry.file; });
+            };
+
+            chunkChanges = {
+                added: chunkFiles("add"),
+                modified: chunkFiles("change"),
+                removed: chunkFiles("unlink"),
+                renamed: chunk.filter((entry: BatchEntry) => { return entry.change === "rename"; }).map((entry: BatchEntry) => {
+                    return { from: entry.from, to: entry.file };
+                })
+            };
+
+            if (changes.entries) {
+                chunkChanges.entries = ["add", "change", "unlink", "rename"].reduce((chunkEntries: FileEntry[], change: ChangeType) => {
+                    return chunkEntries.concat(chunk.filter((entry: BatchEntry) => { return entry.change === change; }).map((entry: BatchEntry) => {
+                        return entry.entry;
+                    }));
+                }, []);
+            }
+
+            chunks.push({
+                files: chunk.filter((entry: BatchEntry) => { return entry.change === "add" || entry.change === "change"; }).map((entry: BatchEntry) => {
+                    return entry.file;
+                }),
+                changes: chunkChanges
+            });
+        }
+
+        return chunks;
+    }
+
+    /** Passes a chunk of changes to the callback and listeners. With waitForCallback, a
+     *  promise returned by the callback has to settle before the next chunk or poll. A
+     *  rejected promise is emitted as an error if there are any listeners for it.
+     *  With fileEntries, each event gets the file's entry as its last argument. A file
+     *  that was modified after being renamed gets its change event after the rename.
+     */
+    private deliver = (batch: ChangeBatch, deliverCallback: () => void) => {
+        let changes: ChangeSet = batch.changes;
+        let entries: { [path: string]: FileEntry } = {};
+        let result: void | PromiseLike<void>;
+
+        // The rest of the chunks are dropped if the watcher is destroyed while waiting for the callback
+        if (this.destroyed) {
+            return deliverCallback();
+        }
+
+        let renamedTo: { [path: string]: boolean } = {};
+
+        (changes.entries || []).forEach((entry: FileEntry) => { entries[entry.change + " " + entry.path] = entry; });
+        changes.renamed.forEach((rename: RenamedFile) => { renamedTo[rename.to] = true; });
+
+        if (this.pollCallback) {
+            result = this.pollCallback(null, batch.files, changes);
+        }
+
+        changes.added.forEach((file: string) => { this.emit("add", file, entries["add " + file]); });
+        changes.modified.filter((file: string) => { return !renamedTo[file]; }).forEach((file: string) => {
+            this.emit("change", file, entries["change " + file]);
+        });
+        changes.removed.forEach((file: string) => { this.emit("unlink", file, entries["unlink " + file]); });
+        changes.renamed.forEach((rename: RenamedFile) => {
+            this.emit("rename", rename.from, rename.to, entries["rename " + rename.to]);
+
+            if (changes.modified.indexOf(rename.to) !== -1) {
+                this.emit("change", rename.to, entries["change " + rename.to]);
+            }
+        });
+
+        if (!this.waitForCallback || !result || typeof result.then !== "function") {
+            return deliverCallback();
+        }
+
+        result.then(() => {
+            return deliverCallback();
+        }, (error: NodeJS.ErrnoException) => {
+            // Without a listener, emitting would throw and the watcher would never poll again
+            try {
+                this.lastError = error;
+
+                if (this.listenerCount("error") > 0) {
+                    this.emit("error", error);
+                }
+            }
+            finally {
+                deliverCallback();
+            }
+        });
+    }
+
+    /** Passes polling (and startup) errors up to the callback and any "error" listeners. Errors
+     *  are only emitted without a listener (and therefore thrown) if there's no callback.
+     */
+    private reportError = (error: NodeJS.ErrnoException) => {
+        if (this.pollCallback) {
+            this.pollCallback(error, undefined, undefined);
+        }
+
+        if (!this.pollCallback || this.listenerCount("error") > 0) {
+            this.emit("error", error);
+        }
+    }
+
+    /** Lists the watched files and the files in the watched directories (recursively)
+     *  along with their stats. Excluded files and directories are skipped (excluded
+     *  directories aren't read at all). Files and subdirectories that disappear while
+     *  reading are ignored, as are watched paths that don't exist (unless none of them do).
+     *  Subdirectories deeper than the depth limit aren't read, and symlinks that lead back
+     *  to one of their own ancestor directories (by device/inode) aren't followed so loops
+     *  can't recurse forever.
+     *
+     *  The walk stops once `budget` entries have been stat'ed and carries on from there the
+     *  next time it's called. The callback gets the files found by this call and, once the
+     *  walk is complete, every file found by the whole walk (otherwise {null}).
+     */
+    private readTree = (budget: number, readTreeCallback: (error: NodeJS.ErrnoException, files: { [path: string]: FileStats }, listedFiles: { [path: string]: FileStats }) => void) => {
+        let files: { [path: string]: FileStats } = {};
+        let statMethod: "stat" | "lstat" = this.followSymlinks ? "stat" : "lstat";
+
+        let walk: TreeWalk = this.walk || {
+            entries: this.roots.map((root: string) => { return { file: root, ancestors: [], root: true }; }),
+            directories: [],
+            files: {},
+            readDirectories: {},
+            missingRoots: 0,
+            missingError: null
+        };
+
+        // Only a walk that can stop part way through is carried over to the next call
+        if (budget !== Infinity) {
+            this.walk = walk;
+        }
+
+        let addFile = (file: string, stats: FileStats) => {
+            files[file] = stats;
+            walk.files[file] = stats;
+        };
+
+        let statWalkEntry = (entry: WalkEntry, statCallback: (error: NodeJS.ErrnoException, stats: FileStats) => void) => {
+            // The watched paths themselves are always followed if they're symlinks
+            this.filesStatted++;
+            this.lastPollFilesStatted++;
+
+            this.queueStat((release: () => void) => this.fileSystem[entry.root ? "stat" : statMethod](entry.file, (error: NodeJS.ErrnoException, stats: FileStats) => {
+                release();
+
+                if (error && error.code === "ENOENT" && entry.root) {
+                    walk.missingError = error;
+                    walk.missingRoots++;
+                    return statCallback(null, null);
+                }
+
+                if (error) {
+                    return statCallback(error.code === "ENOENT" ? null : error, null);
+                }
+
+                return statCallback(null, this.isExcluded(entry.file, stats.isDirectory()) ? null : stats);
+            }));
+        };
+
+        let addEntry = (entry: WalkEntry, stats: FileStats) => {
+            // Files are watched directly instead of reading their directory
+            if (!stats.isDirectory()) {
+                return addFile(entry.file, stats);
+            }
+
+            if (this.reportDirectories && !entry.root) {
+                addFile(entry.file, stats);
+            }
+
+            let directoryId: string = stats.dev + ":" + stats.ino;
+
+            if (entry.ancestors.length <= this.depth && entry.ancestors.indexOf(directoryId) === -1) {
+                walk.directories.push({ directory: entry.file, mtimeMs: stats.mtimeMs, ancestors: entry.ancestors.concat(directoryId) });
+            }
+        };
+
+        let readWalkDirectory = (task: WalkDirectory, readCallback: (error: NodeJS.ErrnoException, names: string[]) => void) => {
+            let listing: DirectoryListing = this.directoryListings[task.directory];
+
+            if (listing && listing.mtimeMs === task.mtimeMs) {
+                return readCallback(null, listing.names);
+            }
+
+            let readTime: number = Date.now();
+
+            this.queueStat((release: () => void) => this.fileSystem.readdir(task.directory, (error: NodeJS.ErrnoException, names: string[]) => {
+                release();
+
+                if (error) {
+                    return readCallback(error.code === "ENOENT" ? null : error, null);
+                }
+
+                if (this.cacheDirectoryListings && readTime - task.mtimeMs >= DIRECTORY_MTIME_GRANULARITY) {
+                    this.directoryListings[task.directory] = { mtimeMs: task.mtimeMs, names: names };
+                }
+                else {
+                    delete this.directoryListings[task.directory];
+                }
+
+                return readCallback(null, names);
+            }));
+        };
+
+        // Stats as many queued entries as the budget allows, reading the queued directories
+        // whenever there aren't any entries left. Results are handled in listing order, so
+        // files are always listed in the same order no matter which stat finishes first
+        let step = () => {
+            if (walk.entries.length > 0 && budget > 0) {
+                let entries: WalkEntry[] = walk.entries.splice(0, Math.min(budget, walk.entries.length));
+                budget -= entries.length;
+
+                return async.mapLimit(entries, this.statConcurrency, statWalkEntry, (error: NodeJS.ErrnoException, results: FileStats[]) => {
+                    if (error) {
+                        return finish(error);
+                    }
+
+                    entries.forEach((entry: WalkEntry, i: number) => {
+                        if (results[i]) {
+                            addEntry(entry, results[i]);
+                        }
+                    });
+
+                    return step();
+                });
+            }
+
+            if (walk.entries.length === 0 && walk.directories.length > 0 && budget > 0) {
+                let directories: WalkDirectory[] = walk.directories.splice(0);
+
+                return async.mapLimit(directories, this.statConcurrency, readWalkDirectory, (error: NodeJS.ErrnoException, results: string[][]) => {
+                    if (error) {
+                        return finish(error);
+                    }
+
+                    directories.forEach((task: WalkDirectory, i: number) => {
+                        if (!results[i]) {
+                            return;
+                        }
+
+                        walk.readDirectories[task.directory] = true;
+                        results[i].forEach((name: string) => {
+                            walk.entries.push({ file: path.join(task.directory, name), ancestors: task.ancestors, root: false });
+                        });
+                    });
+
+                    return step();
+                });
+            }
+
+            return finish(null);
+        };
+
+        let finish = (error: NodeJS.ErrnoException) => {
+            let complete: boolean = walk.entries.length === 0 && walk.directories.length === 0;
+
+            if (error || complete) {
+                this.walk = null;
+            }
+
+            if (!error && complete) {
+                // Forget the listings of directories that weren't found this time
+                Object.keys(this.directoryListings).forEach((directory: string) => {
+                    if (!walk.readDirectories[directory]) {
+                        delete this.directoryListings[directory];
+                    }
+                });
+
+                if (walk.missingRoots === this.roots.length) {
+                    error = walk.missingError;
+                }
+            }
+
+            if (error) {
+                return readTreeCallback(error, undefined, undefined);
+            }
+
+            return readTreeCallback(null, files, complete ? walk.files : null);
+        };
+
+        step();
+    }
+
+    /** Sorts lists of new/modified and removed files with the sort method (if sorting is enabled).
+     *  With fileEntries, the files' entries are sorted instead of their paths (the removed files'
+     *  entries can be passed separately, for paths that are in both lists).
+     */
+    private sortLists = (files: string[], removedFiles: string[], entries: { [path: string]: FileEntry },
+        removedEntries: { [path: string]: FileEntry },
+        sortListsCallback: (error: NodeJS.ErrnoException, files: string[], removedFiles: string[]) => void) => {
+        if (!this.sort) {
+            return sortListsCallback(null, files, removedFiles);
+        }
+
+        async.map([files, removedFiles], (list: string[], mapCallback: (error: NodeJS.ErrnoException, results: string[]) => void) => {
+            let listEntries: { [path: string]: FileEntry } = list === removedFiles && removedEntries ? removedEntries : entries;
+
+            if (list.length < 2) {
+                return mapCallback(null, list);
+            }
+
+            if (!listEntries) {
+                return (this.sortMethod as SortMethod)(list, mapCallback);
+            }
+
+            (this.sortMethod as EntrySortMethod)(list.map((file: string) => { return listEntries[file]; }), (error: NodeJS.ErrnoException, results: FileEntry[]) => {
+                return mapCallback(error, results ? results.map((entry: FileEntry) => { return entry.path; }) : undefined);
+            });
+        }, (error: NodeJS.ErrnoException, sorted: string[][]) => {
+            if (error) {
+                return sortListsCallback(error, undefined, undefined);
+            }
+
+            return sortListsCallback(null, sorted[0], sorted[1]);
+        });
+    }
+
+    /** Saves a copy of a new snapshot to the state store (if there is one) and makes it
+     *  the watcher's snapshot once it's been saved
+     */
+    private saveSnapshot = (snapshot: FileSnapshot, saveSnapshotCallback: (error: NodeJS.ErrnoException) => void) => {
+        if (!this.stateStore) {
+            this.snapshot = snapshot;
+            return saveSnapshotCallback(null);
+        }
+
+        this.stateStore.save(Object.assign({}, snapshot), (error: NodeJS.ErrnoException) => {
+            if (!error) {
+                this.snapshot = snapshot;
+            }
+
+            return saveSnapshotCallback(error);
+        });
+    }
+
+    /** Creates snapshot records for the files that pass the filters. If file contents
+     *  are being compared, the files are hashed as well (unless they're too large).
+     */
+    private createRecords = (files: { [path: string]: FileStats }, createRecordsCallback: (error: NodeJS.ErrnoException, records: FileSnapshot) => void) => {
+        let records: FileSnapshot = {};
+        let matchedFiles: string[] = Object.keys(files).filter((file: string) => {
+            return this.matches(file, files[file]);
+        });
+
+        matchedFiles.forEach((file: string) => {
+            records[file] = {
+                mtimeMs: files[file].mtimeMs,
+                size: files[file].size,
+                ino: files[file].ino,
+                dev: files[file].dev,
+                hash: null
+            };
+        });
+
+        if (this.compare !== "hash") {
+            return createRecordsCallback(null, records);
+        }
+
+        // Directories and files over the size limit fall back to comparing stats
+        let hashedFiles: string[] = matchedFiles.filter((file: string) => {
+            return files[file].isFile() && (this.hashMaxSize === null || files[file].size <= this.hashMaxSize);
+        });
+
+        async.eachLimit(hashedFiles, this.statConcurrency, (file: string, eachCallback: (error: NodeJS.ErrnoException) => void) => {
+            hashFile(this.fileSystem, file, this.hashAlgorithm, (error: NodeJS.ErrnoException, hash: string) => {
+                // A file that disappears while being hashed gets picked up on the next poll
+                if (error && error.code === "ENOENT") {
+                    delete records[file];
+                    return eachCallback(null);
+                }
+
+                if (error) {
+                    return eachCallback(error);
+                }
+
+                records[file].hash = hash;
+                return eachCallback(null);
+            });
+        }, (error: NodeJS.ErrnoException) => {
+            return createRecordsCallback(error, error ? undefined : records);
+        });
+    }
+
+    /** Checks whether a new or modified file's size and mtime have stayed the same for
+     *  long enough (see awaitWriteFinish). Files are held back until they have.
+     */
+    private isWriteFinished = (file: string, record: FileRecord): boolean => {
+        let pending: PendingWrite = this.pendingWrites[file];
+
+        if (!pending || pending.size !== record.size || pending.mtimeMs !== record.mtimeMs) {
+            pending = this.pendingWrites[file] = { mtimeMs: record.mtimeMs, size: record.size, since: Date.now(), polls: 0 };
+        }
+        else {
+            pending.polls++;
+        }
+
+        return pending.polls >= this.awaitWriteFinish.stablePolls &&
+            Date.now() - pending.since >= this.awaitWriteFinish.stabilityThreshold;
+    }
+
+    /** Keys that a disappeared file can be matched with a new file by: its device, inode
+     *  and mtime (which a rename doesn't change, and which stops reused inodes from
+     *  matching), and also its size and hash when detecting renames by content.
+     */
+    private renameKeys = (record: FileRecord): string[] => {
+        let keys: string[] = [];
+
+        if (record.ino) {
+            keys.push("inode:" + record.dev + ":" + record.ino + ":" + record.mtimeMs);
+        }
+
+        // Empty files all have the same hash, so they can't be told apart by content
+        if (this.detectRenames === "content" && record.hash !== null && record.size > 0) {
+            keys.push("content:" + record.size + ":" + record.hash);
+        }
+
+        return keys;
+    }
+
+    /** Finds the disappeared file (if any) that a new file has been renamed or moved from */
+    private findMoveSource = (record: FileRecord, moveSources: { [key: string]: string }): string => {
+        let keys: string[] = this.renameKeys(record).filter((key: string) => { return moveSources[key]; });
+
+        return keys.length > 0 ? moveSources[keys[0]] : null;
+    }
+
+    /** Keeps track of temporary files (see awaitWriteFinish.tempExtensions) and finds the
+     *  files that have replaced the ones that disappeared since the last poll. Renamed
+     *  files are complete, so they don't need to wait until they stop changing.
+     */
+    private findRenamedTempFiles = (files: { [path: string]: FileStats }): { [path: string]: boolean } => {
+        let renamedFiles: { [path: string]: boolean } = {};
+        let tempFiles: { [path: string]: boolean } = {};
+
+        if (!this.awaitWriteFinish) {
+            return renamedFiles;
+        }
+
+        Object.keys(files).forEach((file: string) => {
+            if (this.isTempFile(file)) {
+                tempFiles[file] = true;
+            }
+        });
+
+        Object.keys(this.tempFiles).forEach((tempFile: string) => {
+            let file: string = tempFile.slice(0, tempFile.length - path.extname(tempFile).length);
+
+            if (!tempFiles[tempFile] && files[file]) {
+                renamedFiles[file] = true;
+            }
+        });
+
+        this.tempFiles = tempFiles;
+        return renamedFiles;
+    }
+
+    /** Checks whether a file is a temporary file that's going to be renamed into place */
+    private isTempFile = (file: string): boolean => {
+        return this.awaitWriteFinish !== null && this.awaitWriteFinish.tempExtensions.some((extension: string) => {
+            return path.extname(file) === extension;
+        });
+    }
+
+    /** Compares a file's current record with its previous one using the configured compare method */
+    private hasChanged = (previous: FileRecord, current: FileRecord): boolean => {
+        if (this.compare === "mtime") {
+            return previous.mtimeMs < current.mtimeMs;
+        }
+
+        // Files that weren't hashed (e.g. they were too large) fall back to comparing stats
+        if (this.compare === "hash" && previous.hash !== null && current.hash !== null) {
+            return previous.hash !== current.hash;
+        }
+
+        return previous.mtimeMs !== current.mtimeMs || previous.size !== current.size ||
+            previous.ino !== current.ino || previous.dev !== current.dev;
+    }
+
+    /** Checks whether a file passes the extension, include and filter settings (temporary files never do) */
+    private matches = (file: string, stats: FileStats): boolean => {
+        let relativePath: string = this.relativePath(file);
+
+        if (this.isTempFile(file)) {
+            return false;
+        }
+
+        if (this.extensions.length > 0 && !this.extensions.some((extension: string) => { return file.endsWith(extension); })) {
+            return false;
+        }
+
+        if (this.include.length > 0 && !this.include.some((matcher: PathMatcher) => { return matcher(relativePath); })) {
+            return false;
+        }
+
+        return !this.filter || this.filter(file, stats);
+    }
+
+    /** Checks whether a file or directory matches any of the exclude settings */
+    private isExcluded = (file: string, isDirectory: boolean): boolean => {
+        let relativePath: string = this.relativePath(file);
+
+        return this.exclude.some((matcher: PathMatcher) => {
+            // Let globs like "**/node_modules/**" exclude the directory itself
+            return matcher(relativePath) || (isDirectory && matcher(relativePath + "/"));
+        });
+    }
+
+    /** Creates the entry passed on for a reported file (see fileEntries). Removed files don't
+     *  have stats, so their size and mtime come from their last snapshot record.
+     */
+    private createEntry = (file: string, change: ChangeType, stats: FileStats, previous: FileRecord, from?: string): FileEntry => {
+        let last: FileRecord | FileStats = stats || previous;
+        let entry: FileEntry = {
+            path: file,
+            relativePath: this.relativePath(file),
+            change: change,
+            size: last ? last.size : null,
+            mtimeMs: last ? last.mtimeMs : null,
+            previousMtimeMs: previous ? previous.mtimeMs : null,
+            stats: stats || null
+        };
+
+        if (change === "rename") {
+            entry.from = from;
+        }
+
+        return entry;
+    }
+
+    /** Converts a file path to a path relative to the watched directory it's in, using forward slashes */
+    private relativePath = (file: string): string => {
+        let root: string = this.rootOf(file);
+
+        // Files that are watched directly are matched by name
+        if (file === root) {
+            return path.basename(file);
+        }
+
+        return path.relative(root, file).split(path.sep).join("/");
+    }
+
+    /** Finds the watched path that a file was listed from (the deepest one if they overlap) */
+    private rootOf = (file: string): string => {
+        return this.roots.filter((root: string) => {
+            return file === root || file.startsWith(root.endsWith(path.sep) ? root : root + path.sep);
+        }).reduce((deepest: string, root: string) => {
+            return root.length > deepest.length ? root : deepest;
+        }, "");
+    }
+}
+
+/** Checks whether a change set contains any changes */
+function hasChanges(changes: ChangeSet): boolean {
+    return changes.added.length > 0 || changes.modified.length > 0 || changes.removed.length > 0 || changes.renamed.length > 0;
+}
+
+/** Wraps an optional config value that can be given as a single value or an array */
+function toArray<T>(value: T | T[]): T[] {
+    if (value === undefined || value === null) {
+        return [];
+    }
+
+    return Array.isArray(value) ? value : [value];
+}
+
+/** Hashes a file's contents, returning the digest as a hex string */
+function hashFile(fileSystem: FileSystemAdapter, file: string, algorithm: string, hashFileCallback: (error: NodeJS.ErrnoException, hash: string) => void): void {
+    let hash: crypto.Hash = crypto.createHash(algorithm);
+    let stream: NodeJS.ReadableStream = fileSystem.createReadStream(file);
+
+    stream.on("error", (error: NodeJS.ErrnoException) => {
+        return hashFileCallback(error, undefined);
+    });
+    stream.on("data", (chunk: Buffer) => {
+        hash.update(chunk);
+    });
+    stream.on("end", () => {
+        return hashFileCallback(null, hash.digest("hex"));
+    });
+}
+
+/** Creates a matcher for a glob pattern or regular expression */
+function createMatcher(pattern: PathPattern): PathMatcher {
+    if (pattern instanceof RegExp) {
+        return (relativePath: string) => { return pattern.test(relativePath); };
+    }
+
+    let glob = new minimatch.Minimatch(pattern, { dot: true });
+    return (relativePath: string) => { return glob.match(relativePath); };
+}
+
+/**
+ * Creates a new SimplePoll instance (use instead of "new" keyword). Every call
+ * creates an independent watcher, even if the directory is already being watched.
+ * Watchers created this way share the limits set with configureScheduler()
+ * @param config Poll settings to use with directory
+ * @returns {SimplePoll} Returns reference to newly created SimplePoll instance
+ */
+export function create(config: SimplePollConfig): SimplePoll {
+    if (!config || !config.path) {
+        throw new Error("Invalid SimplePoll configuration");
+    }
+
+    let handle: SimplePoll = new SimplePoll(config, scheduler);
+    pollHandles[handle.id] = handle;
+
+    handle.start();
+
+    return handle;
+}
+
+/**
+ * Promise version of create(). Resolves once the watcher's startup scan has completed.
+ * If the startup scan fails, the watcher is destroyed and the promise rejects.
+ * @param config Poll settings to use with directory
+ * @returns {Promise<SimplePoll>} Resolves with a reference to the SimplePoll instance
+ */
+export function createAsync(config: SimplePollConfig): Promise<SimplePoll> {
+    let handle: SimplePoll;
+
+    try {
+        handle = create(config);
+    }
+    catch (error) {
+        return Promise.reject(error);
+    }
+
+    return handle.whenReady().then(() => {
+        return handle;
+    }, (error: NodeJS.ErrnoException) => {
+        // The watcher never reaches the caller, so it can't be left behind
+        return handle.destroy().then(() => {
+            throw error;
+        });
+    });
+}
+
+/**
+ * Destroys a SimplePoll instance. Given a path, all of the instances watching it are destroyed
+ * @param handle Handle ID of the instance or path to destroy instances for
+ * @returns {Promise<void>} Resolves once any polls the instances were running have finished
+ */
+export function destroy(handle: number | string): Promise<void> {
+    if (!handle) {
+        return Promise.resolve();
+    }
+
+    return Promise.all(findHandles(handle).map((instance: SimplePoll) => {
+        return instance.destroy();
+    })).then(() => { return; });
+}
+
+/**
+ * Destroys every SimplePoll instance created with create()
+ * @returns {Promise<void>} Resolves once any polls the instances were running have finished
+ */
+export function destroyAll(): Promise<void> {
+    return Promise.all(Object.keys(pollHandles).map((id: string) => {
+        return pollHandles[Number(id)].destroy();
+    })).then(() => { return; });
+}
+
+/**
+ * Adds up the statistics of every SimplePoll instance created with create()
+ * @returns {AggregateStats} Returns the totals along with each instance's statistics
+ */
+export function getStats(): AggregateStats {
+    let watchers: WatcherStats[] = Object.keys(pollHandles).map((id: string) => {
+        return pollHandles[Number(id)].getStats();
+    });
+    let total = (count: (stats: WatcherStats) => number): number => {
+        return watchers.reduce((sum: number, stats: WatcherStats) => { return sum + count(stats); }, 0);
+    };
+
+    return {
+        watchers: watchers,
+        running: watchers.filter((stats: WatcherStats) => { return stats.state === "running"; }).length,
+        failing: watchers.filter((stats: WatcherStats) => { return stats.consecutiveErrors > 0; }).length,
+        trackedFiles: total((stats: WatcherStats) => { return stats.trackedFiles; }),
+        filesStatted: total((stats: WatcherStats) => { return stats.filesStatted; }),
+        changesReported: total((stats: WatcherStats) => { return stats.changesReported; })
+    };
+}
+
+/**
+ * Limits how many directory scans and stat calls the instances created with create()
+ * can have running at once, across all of them
+ * @param options Most scans and stat calls to run at once
+ */
+export function configureScheduler(options: SchedulerOptions): void {
+    scheduler.configure(options);
+}
+
+/**
+ * Pauses polling for every instance created with create(). Polls that come due are
+ * held back until resumeAll() is called, while scans that are already running finish
+ */
+export function pauseAll(): void {
+    scheduler.pause();
+}
+
+/**
+ * Resumes polling for every instance created with create() after pauseAll()
+ */
+export function resumeAll(): void {
+    scheduler.resume();
+}
+
+/**
+ * Retrieves a SimplePoll instance. Given a path, the first instance created for
+ * it is returned. Returns {null} if no instance exists.
+ * @param handle Handle ID of the instance or path to retrieve an instance for
+ * @returns {SimplePoll} Returns reference to SimplePoll instance
+ */
+export function getHandle(handle: number | string): SimplePoll {
+    let instances: SimplePoll[] = findHandles(handle);
+
+    if (instances.length > 0) {
+        return instances[0];
+    }
+    else {
+        return null;
+    }
+}
+
+/** Finds instances by handle ID, or by path (as given in the config, or one of the paths in a list) */
+function findHandles(handle: number | string): SimplePoll[] {
+    if (typeof handle === "number") {
+        return pollHandles[handle] ? [pollHandles[handle]] : [];
+    }
+
+    return Object.keys(pollHandles).map((id: string) => {
+        return pollHandles[Number(id)];
+    }).filter((instance: SimplePoll) => {
+        return toArray(instance.path).indexOf(handle) !== -1;
+    });
 }
@@ -0,0 +1,58 @@
+/**
+ * SimplePoll state store module.
+ * @module StateStore
+ * @author John Grube <johnegrube@gmail.com>
+ * @see https://github.com/jgrube/SimplePoll#readme
+ */
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+// Node modules
+const fs = require("fs");
+/**
+ * Default state store that keeps a watcher's file snapshot in a JSON file so that
+ * changes made while the process wasn't running are reported after a restart.
+ */
+class JsonStateStore {
+    /**
+     * @param file Path of the JSON file to store the snapshot in
+     */
+    constructor(file) {
+        /** Reads the snapshot from the JSON file. Returns {null} if it hasn't been saved yet. */
+        this.load = (loadCallback) => {
+            fs.readFile(this.file, "utf8", (error, data) => {
+                if (error && error.code === "ENOENT") {
+                    return loadCallback(null, null);
+                }
+                if (error) {
+                    return loadCallback(error, undefined);
+                }
+                let snapshot;
+                try {
+                    snapshot = JSON.parse(data);
+                }
+                catch (parseError) {
+                    return loadCallback(parseError, undefined);
+                }
+                return loadCallback(null, snapshot);
+            });
+        };
+        /** Writes the snapshot to a temporary file first and renames it over the JSON file,
+         *  so a crash part way through saving doesn't leave a corrupt snapshot behind.
+         */
+        this.save = (snapshot, saveCallback) => {
+            let tempFile = this.file + ".tmp";
+            fs.writeFile(tempFile, JSON.stringify(snapshot), (error) => {
+                if (error) {
+                    return saveCallback(error);
+                }
+                fs.rename(tempFile, this.file, saveCallback);
+            });
+        };
+        if (!file) {
+            throw new Error("Invalid JsonStateStore file");
+        }
+        this.file = file;
+    }
+}
+exports.JsonStateStore = JsonStateStore;
+//# sourceMappingURL=StateStore.js.map
\ No newline at end of file
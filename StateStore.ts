@@ -0,0 +1,69 @@
+/**
+ * SimplePoll state store module.
+ * @module StateStore
+ * @author John Grube <johnegrube@gmail.com>
+ * @see https://github.com/jgrube/SimplePoll#readme
+ */
+
+"use strict";
+
+// Node modules
+import fs = require("fs");
+
+/**
+ * Default state store that keeps a watcher's file snapshot in a JSON file so that
+ * changes made while the process wasn't running are reported after a restart.
+ */
+export class JsonStateStore implements StateStore {
+    private file: string;
+
+    /**
+     * @param file Path of the JSON file to store the snapshot in
+     */
+    constructor(file: string) {
+        if (!file) {
+            throw new Error("Invalid JsonStateStore file");
+        }
+
+        this.file = file;
+    }
+
+    /** Reads the snapshot from the JSON file. Returns {null} if it hasn't been saved yet. */
+    load = (loadCallback: (error: NodeJS.ErrnoException, snapshot: FileSnapshot) => void) => {
+        fs.readFile(this.file, "utf8", (error: NodeJS.ErrnoException, data: string) => {
+            if (error && error.code === "ENOENT") {
+                return loadCallback(null, null);
+            }
+
+            if (error) {
+                return loadCallback(error, undefined);
+            }
+
+            let snapshot: FileSnapshot;
+
+            try {
+                snapshot = JSON.parse(data);
+            }
+            catch (parseError) {
+                return loadCallback(parseError, undefined);
+            }
+
+            return loadCallback(null, snapshot);
+        });
+    }
+
+    /** Writes the snapshot to a temporary file first and renames it over the JSON file,
+     *  so a crash part way through saving doesn't leave a corrupt snapshot behind.
+     */
+    save = (snapshot: FileSnapshot, saveCallback: (error: NodeJS.ErrnoException) => void) => {
+        let tempFile: string = this.file + ".tmp";
+
+        fs.writeFile(tempFile, JSON.stringify(snapshot), (error: NodeJS.ErrnoException) => {
+            if (error) {
+                return saveCallback(error);
+            }
+
+            fs.rename(tempFile, this.file, saveCallback);
+        });
+    }
+}
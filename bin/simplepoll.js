@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+"use strict";
+
+require("../CommandLine").run(process.argv.slice(2));
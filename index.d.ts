@@ -2,14 +2,170 @@
 // Project: SimplePoll <https://github.com/jgrube/SimplePoll#readme>
 // Definitions by: John Grube <johnegrube@gmail.com>
 
-interface PollCallback { (error: NodeJS.ErrnoException, files: string[]): void; }
+interface PollCallback { (error: NodeJS.ErrnoException, files: string[], changes?: ChangeSet): void | PromiseLike<void>; }
+interface FileFilter { (file: string, stats: FileStats): boolean; }
 interface SortMethod { (input: string[], sortMethodCallback: (error: NodeJS.ErrnoException, results: string[]) => void): void; }
+interface EntrySortMethod { (input: FileEntry[], sortMethodCallback: (error: NodeJS.ErrnoException, results: FileEntry[]) => void): void; }
+
+declare type PathPattern = string | RegExp;
+declare type CompareMethod = "mtime" | "stat" | "hash";
+declare type InitialScanMode = "ignore" | "emit";
+declare type RenameDetection = "inode" | "content";
+declare type ChangeType = "add" | "change" | "unlink" | "rename";
+
+declare interface AwaitWriteFinishOptions {
+    stabilityThreshold?: number; // How long (in msec) a file's size and mtime must stay the same before it's reported (defaults to 0)
+    stablePolls?: number;       // How many polls a file's size and mtime must stay the same for before it's reported (defaults to 1)
+    tempExtensions?: string[];  // Extensions of temporary files (e.g. ".part") that are renamed into place once they're complete
+}
+
+// Options for polling faster while files are changing and slowing down while they aren't
+declare interface AdaptiveIntervalOptions {
+    minPeriod?: number;         // Period (in msec) to poll at after changes are found (defaults to timerPeriod / 10)
+    maxPeriod?: number;         // Longest period (in msec) to slow down to while nothing changes (defaults to timerPeriod)
+    decay?: number;             // What the period is multiplied by after each poll without changes (defaults to 2)
+}
+
+// Options for polling less often while polls keep failing
+declare interface BackoffOptions {
+    factor?: number;            // What the period is multiplied by for each failed poll in a row (defaults to 2)
+    maxPeriod?: number;         // Longest period (in msec) to back off to (defaults to 32 * timerPeriod)
+}
+
+// Options for merging the changes found by several polls into one batch
+declare interface BatchOptions {
+    window?: number;            // How long (in msec) to collect changes for after the first one is found (defaults to 0)
+    maxSize?: number;           // Most changes to deliver at once. Bigger batches are split into chunks
+}
+
+// The parts of fs.Stats that SimplePoll uses. Filesystem adapters can pass fs.Stats objects or their own
+declare interface FileStats {
+    dev: number;
+    ino: number;
+    size: number;
+    mtimeMs: number;
+    mtime: Date;
+    isFile(): boolean;
+    isDirectory(): boolean;
+    isSymbolicLink(): boolean;
+}
+
+// Filesystem that a watcher polls. Missing files have to be reported with errors whose code is "ENOENT"
+declare interface FileSystemAdapter {
+    stat(file: string, statCallback: (error: NodeJS.ErrnoException, stats: FileStats) => void): void;        // Follows symlinks
+    lstat(file: string, statCallback: (error: NodeJS.ErrnoException, stats: FileStats) => void): void;       // Doesn't follow symlinks
+    readdir(directory: string, readdirCallback: (error: NodeJS.ErrnoException, names: string[]) => void): void;
+    createReadStream?(file: string): NodeJS.ReadableStream; // Only needed for the "hash" compare method
+}
+
+// Limits shared by the watchers using the same scheduler
+declare interface SchedulerOptions {
+    maxScans?: number;          // Most directory scans to run at once (defaults to unlimited)
+    maxStats?: number;          // Most fs.stat()/fs.readdir() calls to run at once (defaults to unlimited)
+}
+
+declare type WatcherState = "initializing" | "running" | "paused" | "stopped";
+
+// What a watcher is doing and how its polls have gone (see getStats()). Times are in msec since the epoch
+declare interface WatcherStats {
+    id: number;
+    path: string | string[];
+    state: WatcherState;        // Whether the startup scan is running, polls are scheduled (or running) with or without changes held back (see pause()), or neither
+    trackedFiles: number;       // Files in the watcher's snapshot
+    period: number;             // Current period (in msec) between polls
+    polls: number;              // Polls completed (or failed) so far
+    lastPollStart: number;      // When the last (or current) poll started ({null} before the first poll)
+    lastPollEnd: number;        // When the last poll finished ({null} before the first poll)
+    lastPollDuration: number;   // How long (in msec) the last finished poll took ({null} before the first poll)
+    lastPollFilesStatted: number; // Files and directories stat'ed by the last (or current) poll
+    filesStatted: number;       // Files and directories stat'ed since the watcher was created
+    changesReported: number;    // Changes found since the watcher was created
+    consecutiveErrors: number;  // Polls that have failed in a row
+    lastError: NodeJS.ErrnoException; // Error that made the last failed poll fail ({null} if none has)
+}
+
+// Totals over every watcher created with create()
+declare interface AggregateStats {
+    watchers: WatcherStats[];   // Each watcher's statistics
+    running: number;            // Watchers that are polling
+    failing: number;            // Watchers whose last poll failed
+    trackedFiles: number;
+    filesStatted: number;
+    changesReported: number;
+}
+
+// Last known state of a tracked file. The hash is only set when comparing file contents
+declare interface FileRecord {
+    mtimeMs: number;
+    size: number;
+    ino: number;
+    dev: number;
+    hash: string;
+}
+
+declare interface FileSnapshot { [path: string]: FileRecord; }
+
+// Persists a watcher's file snapshot between process restarts
+declare interface StateStore {
+    load(loadCallback: (error: NodeJS.ErrnoException, snapshot: FileSnapshot) => void): void;           // Passes {null} if nothing has been saved yet
+    save(snapshot: FileSnapshot, saveCallback: (error: NodeJS.ErrnoException) => void): void;
+}
+
+declare interface ChangeSet {
+    added: string[];            // Files that weren't present on the previous poll
+    modified: string[];         // Files that changed since the previous poll (see compare)
+    removed: string[];          // Files that were present on the previous poll but have since disappeared
+    renamed: RenamedFile[];     // Files that have been renamed or moved (see detectRenames)
+    entries?: FileEntry[];      // Details of every file above, in the same order (only with fileEntries)
+}
+
+// Details of a reported file (see fileEntries)
+declare interface FileEntry {
+    path: string;               // Full path of the file
+    relativePath: string;       // Path relative to the watched directory it's in, using forward slashes
+    change: ChangeType;         // Whether the file was added, changed, removed ("unlink") or renamed
+    from?: string;              // Path the file was renamed or moved from (renamed files only)
+    size: number;               // Size in bytes (the last known size for removed files)
+    mtimeMs: number;            // Modification time in msec (the last known one for removed files)
+    previousMtimeMs: number;    // Modification time the file had on the previous poll ({null} for added files)
+    stats: FileStats;           // Stats of the file ({null} for removed files)
+}
+
+declare interface RenamedFile {
+    from: string;               // Path the file was found at on the previous poll
+    to: string;                 // Path the file has been renamed or moved to
+}
 
 declare interface SimplePollConfig {
-    path: string;               // Path to directory to watch
-    extension?: string;         // Optional file extension to filter on
+    path: string | string[];    // Path(s) of the directories and/or files to watch
+    extension?: string | string[];          // Optional file extension(s) to filter on
+    include?: PathPattern | PathPattern[];  // Optional glob(s)/regular expression(s) that files must match ("!" globs exclude)
+    exclude?: PathPattern | PathPattern[];  // Optional glob(s)/regular expression(s) of files and directories to ignore
+    filter?: FileFilter;        // Optional function that decides whether to watch a file
+    compare?: CompareMethod;    // How to detect modified files (defaults to "mtime")
+    hashAlgorithm?: string;     // Hash algorithm to use with the "hash" compare method (defaults to "sha1")
+    hashMaxSize?: number;       // Files larger than this (in bytes) are compared like "stat" instead of being hashed
+    awaitWriteFinish?: boolean | AwaitWriteFinishOptions; // Hold back new/modified files until they stop changing
+    stateStore?: string | StateStore; // Optional JSON file path or custom store to persist the file snapshot in
+    initialScan?: InitialScanMode; // Whether files that already exist on startup are ignored (default) or reported by the first poll
+    depth?: number;             // How many levels of subdirectories to read (0 = top-level only, defaults to unlimited)
+    followSymlinks?: boolean;   // Follow symlinks to files and directories (default) or report the links themselves
+    reportDirectories?: boolean; // Report directories as entries alongside files
+    statConcurrency?: number;   // How many files/directories to stat or read at once (defaults to 10)
+    cacheDirectoryListings?: boolean; // Reuse the listings of directories whose mtime hasn't changed instead of reading them every poll
+    scanBudget?: number;        // Maximum number of entries to stat per poll (larger trees are walked over several polls)
+    adaptiveInterval?: boolean | AdaptiveIntervalOptions; // Poll faster after changes are found and slow back down while nothing changes
+    backoff?: boolean | BackoffOptions; // Back off exponentially while polls keep failing
+    jitter?: number;            // Randomly lengthen/shorten each period by up to this fraction of it (0 to 1)
+    batch?: BatchOptions;       // Merge changes from several polls (per file) and/or split them into chunks
+    waitForCallback?: boolean;  // Wait for a promise returned by pollCallback to settle before polling again
+    detectRenames?: boolean | RenameDetection; // Report moved files as renamed, matched by inode ("inode", the default) or also by content ("content")
+    fileSystem?: FileSystemAdapter; // Optional filesystem to poll instead of the local one
+    priority?: number;          // Scans of watchers with a higher priority are started first when the scheduler is busy (defaults to 0)
     timerPeriod: number;        // How frequently to poll (in msec)
     sort: boolean;              // Alphabetically sort list of files found in a directory?
-    sortMethod?: SortMethod;    // Optionally lets you specify how to sort file lists
-    pollCallback: PollCallback; // Function to call with a list of new files
+    persistent?: boolean;       // Keep the process running while the watcher is polling (defaults to false)
+    fileEntries?: boolean;      // Add the details of each file to change sets and events (see FileEntry)
+    sortMethod?: SortMethod | EntrySortMethod; // Optionally lets you specify how to sort file lists (sorts FileEntry objects with fileEntries)
+    pollCallback?: PollCallback; // Optional function to call with a list of new/modified files and the full change set
 }
@@ -5,24 +5,40 @@
  * @see https://github.com/jgrube/SimplePoll#readme
  */
 "use strict";
+var __awaiter = (this && this.__awaiter) || function (thisArg, _arguments, P, generator) {
+    return new (P || (P = Promise))(function (resolve, reject) {
+        function fulfilled(value) { try { step(generator.next(value)); } catch (e) { reject(e); } }
+        function rejected(value) { try { step(generator["throw"](value)); } catch (e) { reject(e); } }
+        function step(result) { result.done ? resolve(result.value) : new P(function (resolve) { resolve(result.value); }).then(fulfilled, rejected); }
+        step((generator = generator.apply(thisArg, _arguments || [])).next());
+    });
+};
+var __asyncValues = (this && this.__asyncValues) || function (o) {
+    if (!Symbol.asyncIterator) throw new TypeError("Symbol.asyncIterator is not defined.");
+    var m = o[Symbol.asyncIterator], i;
+    return m ? m.call(o) : (o = typeof __values === "function" ? __values(o) : o[Symbol.iterator](), i = {}, verb("next"), verb("throw"), verb("return"), i[Symbol.asyncIterator] = function () { return this; }, i);
+    function verb(n) { i[n] = o[n] && function (v) { return new Promise(function (resolve, reject) { v = o[n](v), settle(resolve, reject, v.done, v.value); }); }; }
+    function settle(resolve, reject, d, v) { Promise.resolve(v).then(function(v) { resolve({ value: v, done: d }); }, reject); }
+};
 Object.defineProperty(exports, "__esModule", { value: true });
 // Node Modules
 const path = require("path");
 const nodeFs = require("fs");
+const childProcess = require("child_process");
 // Dependency Modules
-const readdir = require("async-readdir");
 const fs = require("fs-extra");
 const chai = require("chai");
 const sinon = require("sinon");
 // System Under Test
 const simplepoll = require("../SimplePoll");
+const CommandLine = require("../CommandLine");
 const TEST_DIR = "./test/data/";
 let testPoll = null;
 let testPaths = [];
 let callbackAssertions = null;
-function pollCallbackWrapper(error, files) {
+function pollCallbackWrapper(error, files, changes) {
     // Hacky workaround to allow us to change how the arguments are tested
-    callbackAssertions(error, files);
+    callbackAssertions(error, files, changes);
 }
 describe("int:SimplePoll", function () {
     before("int:SimplePoll", function () {
@@ -36,11 +52,11 @@ describe("int:SimplePoll", function () {
     describe("API functions", function () {
         it("Should not create a SimplePoll instance with an invalid config", function () {
             const config = {
-                path: TEST_DIR,
+                path: null,
                 extension: ".txt",
                 timerPeriod: 1000,
                 sort: false,
-                pollCallback: null
+                pollCallback: pollCallbackWrapper
             };
             chai.expect(simplepoll.create.bind(config)).to.throw(Error);
             let constructorWrapper = function () { new simplepoll.SimplePoll(config); };
@@ -113,10 +129,13 @@ describe("int:SimplePoll", function () {
         it("Should detect a single new file", function (done) {
             this.timeout(10e3);
             const testPath = path.join(TEST_DIR, "output.txt");
-            callbackAssertions = function (error, files) {
+            callbackAssertions = function (error, files, changes) {
                 chai.expect(error).to.be.null;
                 chai.expect(files).to.have.lengthOf(1);
                 chai.expect(files[0]).to.equal(path.resolve(testPath));
+                chai.expect(changes.added).to.deep.equal(files);
+                chai.expect(changes.modified).to.be.empty;
+                chai.expect(changes.removed).to.be.empty;
                 done();
             };
             fs.outputFileSync(testPath, "Some test data");
@@ -180,14 +199,40 @@ describe("int:SimplePoll", function () {
         });
         it("Should detect modified files", function (done) {
             this.timeout(10e3);
-            callbackAssertions = function (error, files) {
+            callbackAssertions = function (error, files, changes) {
                 chai.expect(error).to.be.null;
                 chai.expect(files).to.have.lengthOf(1);
                 chai.expect(files[0]).to.equal(testPaths[2]);
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.modified).to.deep.equal(files);
                 done();
             };
             fs.writeFileSync(testPaths[2], "Some other test data");
         });
+        it("Should detect removed files", function (done) {
+            this.timeout(10e3);
+            callbackAssertions = function (error, files, changes) {
+                chai.expect(error).to.be.null;
+                chai.expect(files).to.be.empty;
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.modified).to.be.empty;
+                chai.expect(changes.removed).to.deep.equal([testPaths[3]]);
+                done();
+            };
+            fs.removeSync(testPaths[3]);
+        });
+        it("Should detect removed files when the directory itself is removed", function (done) {
+            this.timeout(10e3);
+            const remainingPaths = testPaths.filter((testPath) => { return testPath !== testPaths[3]; });
+            callbackAssertions = function (error, files, changes) {
+                chai.expect(error).to.be.null;
+                chai.expect(files).to.be.empty;
+                chai.expect(changes.removed).to.have.members(remainingPaths);
+                fs.mkdirSync(TEST_DIR);
+                done();
+            };
+            fs.removeSync(TEST_DIR);
+        });
     });
     describe("Polling with sorting", function () {
         before("Polling with sorting", function () {
@@ -217,10 +262,13 @@ describe("int:SimplePoll", function () {
                 }
                 done();
             };
-            for (let i = 0; i < testPaths.length; i++) {
-                fs.outputFileSync(testPaths[i], "Some test data");
-            }
-            testPaths.sort();
+            // Wait for the startup scan so that it doesn't see any of the new files
+            testPoll.whenReady().then(() => {
+                for (let i = 0; i < testPaths.length; i++) {
+                    fs.outputFileSync(testPaths[i], "Some test data");
+                }
+                testPaths.sort();
+            });
         });
         it("Should create a SimplePoll instance with a user-provided sort", function () {
             const config = {
@@ -269,10 +317,1793 @@ describe("int:SimplePoll", function () {
                 }
                 done();
             };
+            // Wait for the startup scan so that it doesn't see any of the new files
+            testPoll.whenReady().then(() => {
+                for (let i = 0; i < testPaths.length; i++) {
+                    fs.outputFileSync(testPaths[i], "Some test data");
+                }
+                testPaths.sort();
+            });
+        });
+    });
+    describe("Polling without filtering", function () {
+        before("Polling without filtering", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            fs.outputFileSync(testPaths[0], "Some test data");
+        });
+        after("Polling without filtering", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        it("Should not detect existing files on startup", function () {
+            return simplepoll.createAsync({ path: TEST_DIR, timerPeriod: 1000, sort: false }).then((handle) => {
+                testPoll = handle;
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.modified).to.be.empty;
+            });
+        });
+        it("Should only detect new and modified files", function () {
+            const newPath = path.resolve(TEST_DIR, "output.json");
+            fs.outputFileSync(newPath, `{"test": "data"}`);
+            return testPoll.pollOnce().then((changes) => {
+                chai.expect(changes.added).to.deep.equal([newPath]);
+                chai.expect(changes.modified).to.be.empty;
+                fs.utimesSync(testPaths[0], new Date(), new Date(Date.now() + 10e3));
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.modified).to.deep.equal([testPaths[0]]);
+            });
+        });
+    });
+    describe("Compare methods", function () {
+        const testPath = path.resolve(TEST_DIR, "output.txt");
+        const pastTime = new Date(Date.now() - 60e3);
+        beforeEach("Compare methods", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            fs.outputFileSync(testPath, "Some test data");
+            fs.utimesSync(testPath, pastTime, pastTime);
+        });
+        after("Compare methods", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        function createPoll(compare, hashMaxSize) {
+            return simplepoll.createAsync({ path: TEST_DIR, compare: compare, hashMaxSize: hashMaxSize, timerPeriod: 1000, sort: false });
+        }
+        it("Should not create a SimplePoll instance with an invalid compare method or hash algorithm", function () {
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, compare: "size", timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, compare: "hash", hashAlgorithm: "nope", timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should miss content changes with a preserved mtime when comparing mtimes", function () {
+            return createPoll("mtime").then((handle) => {
+                fs.outputFileSync(testPath, "Some other test data");
+                fs.utimesSync(testPath, pastTime, pastTime);
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.be.empty;
+            });
+        });
+        it("Should detect size changes and mtimes going backwards when comparing stats", function () {
+            let handle = null;
+            return createPoll("stat").then((newHandle) => {
+                handle = newHandle;
+                fs.outputFileSync(testPath, "Some other test data");
+                fs.utimesSync(testPath, pastTime, pastTime);
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.deep.equal([testPath]);
+                const earlierTime = new Date(pastTime.getTime() - 60e3);
+                fs.utimesSync(testPath, earlierTime, earlierTime);
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.deep.equal([testPath]);
+            });
+        });
+        it("Should only detect content changes when comparing hashes", function () {
+            let handle = null;
+            return createPoll("hash").then((newHandle) => {
+                handle = newHandle;
+                fs.utimesSync(testPath, new Date(), new Date());
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.be.empty;
+                // Same size and mtime, different contents
+                fs.outputFileSync(testPath, "Some TEST data");
+                fs.utimesSync(testPath, pastTime, pastTime);
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.deep.equal([testPath]);
+            });
+        });
+        it("Should compare stats instead of hashes for files over the maximum hash size", function () {
+            return createPoll("hash", 4).then((handle) => {
+                fs.utimesSync(testPath, new Date(), new Date());
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.deep.equal([testPath]);
+            });
+        });
+    });
+    describe("Awaiting write finish", function () {
+        const testPath = path.resolve(TEST_DIR, "output.csv");
+        beforeEach("Awaiting write finish", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+        });
+        after("Awaiting write finish", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        function createPoll(awaitWriteFinish) {
+            return simplepoll.createAsync({ path: TEST_DIR, awaitWriteFinish: awaitWriteFinish, timerPeriod: 1000, sort: false });
+        }
+        it("Should hold back files until their size and mtime stop changing", function () {
+            let handle = null;
+            return createPoll(true).then((newHandle) => {
+                handle = newHandle;
+                fs.outputFileSync(testPath, "Some test data");
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                fs.appendFileSync(testPath, "Some more test data");
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([testPath]);
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+            });
+        });
+        it("Should hold back files for the stability threshold", function () {
+            let handle = null;
+            return createPoll({ stabilityThreshold: 200, stablePolls: 0 }).then((newHandle) => {
+                handle = newHandle;
+                fs.outputFileSync(testPath, "Some test data");
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                return new Promise((resolve) => { setTimeout(resolve, 250); });
+            }).then(() => {
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([testPath]);
+            });
+        });
+        it("Should report temporary files renamed into place straight away", function () {
+            let handle = null;
+            return createPoll({ stablePolls: 5, tempExtensions: [".part"] }).then((newHandle) => {
+                handle = newHandle;
+                fs.outputFileSync(testPath + ".part", "Some test data");
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                fs.renameSync(testPath + ".part", testPath);
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([testPath]);
+                chai.expect(changes.removed).to.be.empty;
+            });
+        });
+        it("Should not report files removed before they were completely written", function () {
+            let handle = null;
+            return createPoll(true).then((newHandle) => {
+                handle = newHandle;
+                fs.outputFileSync(testPath, "Some test data");
+                return handle.pollOnce();
+            }).then((changes) => {
+                fs.removeSync(testPath);
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.removed).to.be.empty;
+            });
+        });
+    });
+    describe("Persisting state", function () {
+        const STATE_FILE = "./test/state.json";
+        const config = {
+            path: TEST_DIR,
+            stateStore: STATE_FILE,
+            timerPeriod: 1000,
+            sort: true
+        };
+        before("Persisting state", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            fs.removeSync(STATE_FILE);
+            fs.outputFileSync(testPaths[0], "Some test data");
+            fs.outputFileSync(testPaths[1], "Some test data");
+        });
+        after("Persisting state", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.removeSync(STATE_FILE);
+        });
+        it("Should save the startup snapshot if there isn't one", function () {
+            return simplepoll.createAsync(config).then((handle) => {
+                const snapshot = fs.readJsonSync(STATE_FILE);
+                chai.expect(snapshot).to.have.all.keys(testPaths[0], testPaths[1]);
+                chai.expect(snapshot[testPaths[0]].mtimeMs).to.equal(nodeFs.statSync(testPaths[0]).mtimeMs);
+            });
+        });
+        it("Should save the snapshot after polls with changes", function () {
+            const newPath = path.resolve(TEST_DIR, "outputE.txt");
+            fs.outputFileSync(newPath, "Some test data");
+            return simplepoll.getHandle(TEST_DIR).pollOnce().then((changes) => {
+                chai.expect(changes.added).to.deep.equal([newPath]);
+                chai.expect(fs.readJsonSync(STATE_FILE)).to.have.all.keys(testPaths[0], testPaths[1], newPath);
+            });
+        });
+        it("Should report changes made while no watcher was running", function () {
+            const newPath = path.resolve(TEST_DIR, "outputF.txt");
+            simplepoll.destroy(TEST_DIR);
+            fs.outputFileSync(newPath, "Some test data");
+            fs.utimesSync(testPaths[0], new Date(), new Date(Date.now() + 10e3));
+            fs.removeSync(testPaths[1]);
+            return simplepoll.createAsync(config).then((handle) => {
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([newPath]);
+                chai.expect(changes.modified).to.deep.equal([testPaths[0]]);
+                chai.expect(changes.removed).to.deep.equal([testPaths[1]]);
+            });
+        });
+        it("Should find a poll's changes again if saving the snapshot fails", function () {
+            const root = path.resolve("/virtual/state");
+            const newFile = path.join(root, "outputB.txt");
+            const memoryFs = new simplepoll.MemoryFileSystem();
+            let saved = null;
+            let failSave = false;
+            let errors = [];
+            memoryFs.writeFile(path.join(root, "outputA.txt"), "Some test data", 1000);
+            testPoll = new simplepoll.SimplePoll({
+                path: root,
+                fileSystem: memoryFs,
+                stateStore: {
+                    load: (loadCallback) => { loadCallback(null, null); },
+                    save: (snapshot, saveCallback) => {
+                        if (failSave) {
+                            failSave = false;
+                            return saveCallback(new Error("Disk full"));
+                        }
+                        saved = snapshot;
+                        return saveCallback(null);
+                    }
+                },
+                timerPeriod: 1000,
+                sort: false
+            });
+            return testPoll.whenReady().then(() => {
+                memoryFs.writeFile(newFile, "Some test data", 1000);
+                failSave = true;
+                return testPoll.pollOnce().catch((error) => { errors.push(error.message); });
+            }).then(() => {
+                chai.expect(errors).to.deep.equal(["Disk full"]);
+                chai.expect(saved).to.not.have.property(newFile);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([newFile]);
+                chai.expect(saved).to.have.property(newFile);
+            });
+        });
+        it("Should use a custom state store", function () {
+            const newPath = path.resolve(TEST_DIR, "outputG.txt");
+            let savedSnapshot = null;
+            const stateStore = {
+                load: (loadCallback) => {
+                    loadCallback(null, {});
+                },
+                save: (snapshot, saveCallback) => {
+                    savedSnapshot = snapshot;
+                    saveCallback(null);
+                }
+            };
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            return simplepoll.createAsync({ path: TEST_DIR, stateStore: stateStore, timerPeriod: 1000, sort: false }).then((handle) => {
+                chai.expect(savedSnapshot).to.equal(null);
+                fs.outputFileSync(newPath, "Some test data");
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([newPath]);
+                chai.expect(savedSnapshot).to.have.all.keys(newPath);
+            });
+        });
+        it("Should not create a SimplePoll instance with an invalid state store", function () {
+            const stateStore = { load: () => { return; } };
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, stateStore: stateStore, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+    });
+    describe("Reporting existing files on startup", function () {
+        before("Reporting existing files on startup", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            for (let i = 0; i < testPaths.length; i++) {
+                fs.outputFileSync(testPaths[i], "Some test data");
+            }
+            fs.outputFileSync(path.join(TEST_DIR, "skip_this.file"), "Some test data");
+        });
+        after("Reporting existing files on startup", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        it("Should not create a SimplePoll instance with an invalid initial scan mode", function () {
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, initialScan: "all", timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should report existing files straight away", function (done) {
+            this.timeout(10e3);
+            const startTime = Date.now();
+            const config = {
+                path: TEST_DIR,
+                extension: ".txt",
+                initialScan: "emit",
+                timerPeriod: 5000,
+                sort: true,
+                pollCallback: pollCallbackWrapper
+            };
+            callbackAssertions = function (error, files, changes) {
+                chai.expect(error).to.be.null;
+                chai.expect(Date.now() - startTime).to.be.below(config.timerPeriod);
+                chai.expect(files).to.deep.equal(testPaths.slice().sort());
+                chai.expect(changes.added).to.deep.equal(files);
+                done();
+            };
+            testPoll = simplepoll.create(config);
+        });
+        it("Should only report changes after the existing files", function () {
+            return testPoll.pollOnce().then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.modified).to.be.empty;
+            });
+        });
+    });
+    describe("Depth and symlinks", function () {
+        const linkedDir = path.resolve(TEST_DIR, "linked");
+        const loopLink = path.resolve(TEST_DIR, "subdirectory", "loop");
+        const fileLink = path.resolve(TEST_DIR, "link.txt");
+        before("Depth and symlinks", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            for (let i = 0; i < testPaths.length; i++) {
+                fs.outputFileSync(testPaths[i], "Some test data");
+            }
+            nodeFs.symlinkSync(path.resolve(TEST_DIR, "subdirectory"), linkedDir, "dir");
+            nodeFs.symlinkSync(path.resolve(TEST_DIR), loopLink, "dir");
+            nodeFs.symlinkSync(testPaths[0], fileLink, "file");
+        });
+        after("Depth and symlinks", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        // Lists everything the watcher finds without starting its timer
+        function scanAll(config) {
+            config.initialScan = "emit";
+            testPoll = new simplepoll.SimplePoll(config);
+            return testPoll.whenReady().then(() => testPoll.pollOnce()).then((changes) => {
+                return changes.added.sort();
+            });
+        }
+        it("Should not create a SimplePoll instance with an invalid depth", function () {
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, depth: -1, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should only read the top-level directory with a depth of 0", function () {
+            return scanAll({ path: TEST_DIR, extension: ".txt", depth: 0, followSymlinks: false, timerPeriod: 1000, sort: false }).then((files) => {
+                chai.expect(files).to.deep.equal([testPaths[0], testPaths[1], fileLink].sort());
+            });
+        });
+        it("Should not read past the depth limit", function () {
+            return scanAll({ path: TEST_DIR, extension: ".txt", depth: 1, followSymlinks: false, timerPeriod: 1000, sort: false }).then((files) => {
+                chai.expect(files).to.deep.equal(testPaths.slice(0, 4).concat(fileLink).sort());
+            });
+        });
+        it("Should follow symlinks without getting stuck in loops", function () {
+            const linkedPaths = testPaths.slice(2).map((file) => file.replace(path.resolve(TEST_DIR, "subdirectory"), linkedDir));
+            return scanAll({ path: TEST_DIR, extension: ".txt", timerPeriod: 1000, sort: false }).then((files) => {
+                chai.expect(files).to.deep.equal(testPaths.concat(linkedPaths, fileLink).sort());
+            });
+        });
+        it("Should report symlinks themselves when not following them", function () {
+            return scanAll({ path: TEST_DIR, followSymlinks: false, timerPeriod: 1000, sort: false }).then((files) => {
+                chai.expect(files).to.deep.equal(testPaths.concat(fileLink, linkedDir, loopLink).sort());
+            });
+        });
+        it("Should report directories when requested", function () {
+            const subdirectory = path.resolve(TEST_DIR, "subdirectory");
+            const subsubdirectory = path.resolve(TEST_DIR, "subdirectory", "subsubdirectory");
+            return scanAll({ path: TEST_DIR, reportDirectories: true, followSymlinks: false, timerPeriod: 1000, sort: false }).then((files) => {
+                chai.expect(files).to.include.members([subdirectory, subsubdirectory]);
+                chai.expect(files).to.not.include(path.resolve(TEST_DIR));
+            });
+        });
+    });
+    describe("Watching files and lists of paths", function () {
+        const watchedFile = path.resolve(TEST_DIR, "watched", "config.json");
+        const otherFile = path.resolve(TEST_DIR, "watched", "other.json");
+        const watchedDir = path.resolve(TEST_DIR, "subdirectory");
+        before("Watching files and lists of paths", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            for (let i = 0; i < testPaths.length; i++) {
+                fs.outputFileSync(testPaths[i], "Some test data");
+            }
+            fs.outputFileSync(watchedFile, `{"test": "data"}`);
+            fs.outputFileSync(otherFile, `{"test": "data"}`);
+        });
+        afterEach("Watching files and lists of paths", function () {
+            simplepoll.destroy(watchedFile);
+        });
+        it("Should not create a SimplePoll instance with an invalid list of paths", function () {
+            chai.expect(() => { simplepoll.create({ path: [TEST_DIR, ""], timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: [], timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should only report changes to a watched file", function () {
+            testPoll = new simplepoll.SimplePoll({ path: watchedFile, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                fs.utimesSync(watchedFile, new Date(), new Date(Date.now() + 10e3));
+                fs.utimesSync(otherFile, new Date(), new Date(Date.now() + 10e3));
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.modified).to.deep.equal([watchedFile]);
+                chai.expect(changes.removed).to.be.empty;
+            });
+        });
+        it("Should watch a list of files and directories", function () {
+            const config = {
+                path: [watchedFile, watchedDir],
+                initialScan: "emit",
+                timerPeriod: 1000,
+                sort: true
+            };
+            testPoll = new simplepoll.SimplePoll(config);
+            return testPoll.pollOnce().then((changes) => {
+                chai.expect(changes.added).to.deep.equal(testPaths.slice(2).concat(watchedFile).sort());
+            });
+        });
+        it("Should apply filters to watched files by name", function () {
+            testPoll = new simplepoll.SimplePoll({ path: [watchedFile, otherFile], include: "config.*", initialScan: "emit", timerPeriod: 1000, sort: false });
+            return testPoll.pollOnce().then((changes) => {
+                chai.expect(changes.added).to.deep.equal([watchedFile]);
+            });
+        });
+        it("Should report a watched file as removed", function () {
+            testPoll = new simplepoll.SimplePoll({ path: [watchedFile, watchedDir], timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                fs.removeSync(watchedFile);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.removed).to.deep.equal([watchedFile]);
+            });
+        });
+        it("Should find watchers by any of their paths", function () {
+            return simplepoll.createAsync({ path: [watchedFile, watchedDir], timerPeriod: 1000, sort: false }).then((handle) => {
+                chai.expect(simplepoll.getHandle(watchedFile)).to.equal(handle);
+                chai.expect(simplepoll.getHandle(watchedDir)).to.equal(handle);
+                simplepoll.destroy(watchedDir);
+                chai.expect(simplepoll.getHandle(watchedFile)).to.equal(null);
+            });
+        });
+    });
+    describe("Incremental scanning", function () {
+        const pastTime = new Date(Date.now() - 60e3);
+        const subdirectory = path.resolve(TEST_DIR, "subdirectory");
+        const newPath = path.resolve(TEST_DIR, "subdirectory", "outputE.txt");
+        let readdir_spy;
+        before("Incremental scanning", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
             for (let i = 0; i < testPaths.length; i++) {
                 fs.outputFileSync(testPaths[i], "Some test data");
             }
-            testPaths.sort();
+            // Old enough for their listings to be reused
+            [TEST_DIR, subdirectory, path.dirname(testPaths[4])].forEach((directory) => {
+                fs.utimesSync(directory, pastTime, pastTime);
+            });
+        });
+        afterEach("Incremental scanning", function () {
+            if (readdir_spy) {
+                readdir_spy.restore();
+                readdir_spy = null;
+            }
+        });
+        // Polls the given number of times in a row
+        function pollTimes(count) {
+            let results = [];
+            let chain = Promise.resolve();
+            for (let i = 0; i < count; i++) {
+                chain = chain.then(() => testPoll.pollOnce()).then((changes) => { results.push(changes); });
+            }
+            return chain.then(() => results);
+        }
+        it("Should not create a SimplePoll instance with an invalid stat concurrency or scan budget", function () {
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, statConcurrency: 0, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, scanBudget: 0, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should not read unchanged directories again", function () {
+            testPoll = new simplepoll.SimplePoll({ path: TEST_DIR, cacheDirectoryListings: true, statConcurrency: 2, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                readdir_spy = sinon.spy(nodeFs, "readdir");
+                fs.utimesSync(testPaths[4], new Date(), new Date());
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(readdir_spy.callCount).to.equal(0);
+                chai.expect(changes.modified).to.deep.equal([testPaths[4]]);
+            });
+        });
+        it("Should read directories that have changed", function () {
+            testPoll = new simplepoll.SimplePoll({ path: TEST_DIR, cacheDirectoryListings: true, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                readdir_spy = sinon.spy(nodeFs, "readdir");
+                fs.outputFileSync(newPath, "Some test data");
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(readdir_spy.callCount).to.equal(1);
+                chai.expect(readdir_spy.firstCall.args[0]).to.equal(subdirectory);
+                chai.expect(changes.added).to.deep.equal([newPath]);
+            });
+        });
+        it("Should spread a scan over several polls", function () {
+            testPoll = new simplepoll.SimplePoll({ path: TEST_DIR, extension: ".txt", initialScan: "emit", scanBudget: 2, timerPeriod: 1000, sort: false });
+            return pollTimes(6).then((results) => {
+                let added = [].concat(...results.map((changes) => changes.added));
+                chai.expect(results[0].added.length).to.be.below(testPaths.length);
+                chai.expect(added.sort()).to.deep.equal(testPaths.concat(newPath).sort());
+            });
+        });
+        it("Should only report removed files once the whole tree has been walked", function () {
+            fs.removeSync(newPath);
+            return pollTimes(5).then((results) => {
+                let removed = [].concat(...results.map((changes) => changes.removed));
+                chai.expect(results[0].removed).to.be.empty;
+                chai.expect(removed).to.deep.equal([newPath]);
+            });
+        });
+        it("Should not split a walk between a timer poll and a poll on demand", function () {
+            const root = path.resolve("/virtual/overlap");
+            const memoryFs = new simplepoll.MemoryFileSystem();
+            let onReaddir = null;
+            let delivered = [];
+            memoryFs.writeFile(path.join(root, "outputA.txt"), "Some test data", 1000);
+            memoryFs.writeFile(path.join(root, "outputB.txt"), "Some test data", 1000);
+            testPoll = new simplepoll.SimplePoll({
+                path: root,
+                // Slow enough for pollOnce() to be called while the timer poll is running
+                fileSystem: {
+                    stat: memoryFs.stat,
+                    lstat: memoryFs.lstat,
+                    readdir: (directory, readdirCallback) => {
+                        if (onReaddir) {
+                            onReaddir();
+                        }
+                        setTimeout(() => { memoryFs.readdir(directory, readdirCallback); }, 50);
+                    }
+                },
+                timerPeriod: 10,
+                sort: false,
+                pollCallback: (error, files, changes) => { delivered.push(changes); }
+            });
+            return testPoll.whenReady().then(() => {
+                return new Promise((resolve) => {
+                    onReaddir = resolve;
+                    testPoll.start();
+                });
+            }).then(() => {
+                onReaddir = null;
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes).to.deep.equal({ added: [], modified: [], removed: [], renamed: [] });
+                return testPoll.stop();
+            }).then(() => {
+                chai.expect(delivered).to.be.empty;
+            });
+        });
+    });
+    describe("Adaptive polling", function () {
+        let readdir_stub;
+        beforeEach("Adaptive polling", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+        });
+        afterEach("Adaptive polling", function () {
+            simplepoll.destroy(TEST_DIR);
+            if (readdir_stub) {
+                readdir_stub.restore();
+                readdir_stub = null;
+            }
+        });
+        it("Should not create a SimplePoll instance with invalid adaptive polling settings", function () {
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, adaptiveInterval: { minPeriod: 500, maxPeriod: 100 }, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, adaptiveInterval: { decay: 0.5 }, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, backoff: { factor: 0.5 }, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, jitter: 2, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should poll faster after changes and slow back down while nothing changes", function (done) {
+            this.timeout(10e3);
+            let pollTimes = [];
+            testPoll = simplepoll.create({ path: TEST_DIR, adaptiveInterval: { minPeriod: 100, decay: 2 }, timerPeriod: 1000, sort: false });
+            testPoll.once("add", () => {
+                testPoll.on("poll", () => {
+                    pollTimes.push(Date.now());
+                    if (pollTimes.length < 4) {
+                        return;
+                    }
+                    testPoll.removeAllListeners("poll");
+                    // Periods after the change: 100, 200, 400 and 800 msec
+                    const intervals = [pollTimes[1] - pollTimes[0], pollTimes[2] - pollTimes[1], pollTimes[3] - pollTimes[2]];
+                    chai.expect(pollTimes[0] - addTime).to.be.below(500);
+                    chai.expect(intervals[1]).to.be.above(intervals[0]);
+                    chai.expect(intervals[2]).to.be.above(intervals[1]);
+                    done();
+                });
+            });
+            let addTime = 0;
+            testPoll.whenReady().then(() => {
+                testPoll.once("add", () => { addTime = Date.now(); });
+                fs.outputFileSync(testPaths[0], "Some test data");
+            });
+        });
+        it("Should back off while polls keep failing", function (done) {
+            this.timeout(10e3);
+            let errorTimes = [];
+            testPoll = simplepoll.create({ path: TEST_DIR, backoff: { factor: 2 }, timerPeriod: 100, sort: false });
+            testPoll.whenReady().then(() => {
+                readdir_stub = sinon.stub(nodeFs, "readdir");
+                readdir_stub.yieldsAsync(new Error("read error"), null);
+                testPoll.on("error", () => {
+                    errorTimes.push(Date.now());
+                    if (errorTimes.length !== 4) {
+                        return;
+                    }
+                    // Periods after each failure: 200, 400 and 800 msec
+                    chai.expect(errorTimes[2] - errorTimes[1]).to.be.above(errorTimes[1] - errorTimes[0]);
+                    chai.expect(errorTimes[3] - errorTimes[2]).to.be.above(errorTimes[2] - errorTimes[1]);
+                    chai.expect(errorTimes[3] - errorTimes[2]).to.be.at.least(700);
+                    done();
+                });
+            });
+        });
+        it("Should back off without reporting removals while the watched directory is missing", function (done) {
+            this.timeout(5e3);
+            const root = path.resolve("/virtual/unmounted");
+            const rootFile = path.join(root, "outputA.txt");
+            const memoryFs = new simplepoll.MemoryFileSystem();
+            let batches = [];
+            memoryFs.writeFile(rootFile, "Some test data", 1000);
+            testPoll = simplepoll.create({
+                path: root,
+                fileSystem: memoryFs,
+                backoff: true,
+                timerPeriod: 50,
+                sort: false,
+                pollCallback: (error, files, changes) => { batches.push(changes); }
+            });
+            testPoll.whenReady().then(() => {
+                memoryFs.remove(root);
+                setTimeout(() => {
+                    chai.expect(testPoll.getStats().consecutiveErrors).to.be.above(0);
+                    chai.expect(testPoll.getStats().trackedFiles).to.equal(1);
+                    memoryFs.writeFile(rootFile, "Some test data", 1000);
+                }, 300);
+                setTimeout(() => {
+                    chai.expect(testPoll.getStats().consecutiveErrors).to.equal(0);
+                    chai.expect(batches).to.be.empty;
+                    simplepoll.destroy(root).then(() => { done(); });
+                }, 800);
+            });
+        });
+    });
+    describe("Batching", function () {
+        const stagingDir = path.resolve(TEST_DIR, "..", "staging");
+        const batchDir = path.resolve(TEST_DIR, "batch");
+        beforeEach("Batching", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+        });
+        afterEach("Batching", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.removeSync(stagingDir);
+        });
+        it("Should not create a SimplePoll instance with invalid batch settings", function () {
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, batch: { window: -1 }, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, batch: { maxSize: 0 }, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should merge the changes found during the batch window", function (done) {
+            this.timeout(10e3);
+            let batches = [];
+            const config = {
+                path: TEST_DIR,
+                batch: { window: 1000 },
+                timerPeriod: 100,
+                sort: true,
+                pollCallback: (error, files, changes) => { batches.push(changes); }
+            };
+            testPoll = simplepoll.create(config);
+            testPoll.whenReady().then(() => {
+                fs.outputFileSync(testPaths[0], "Some test data");
+                setTimeout(() => {
+                    fs.utimesSync(testPaths[0], new Date(), new Date(Date.now() + 10e3));
+                    fs.outputFileSync(testPaths[1], "Some test data");
+                }, 250);
+                setTimeout(() => {
+                    fs.removeSync(testPaths[1]);
+                }, 500);
+                setTimeout(() => {
+                    chai.expect(batches).to.have.lengthOf(1);
+                    chai.expect(batches[0]).to.deep.equal({ added: [testPaths[0]], modified: [], removed: [], renamed: [] });
+                    done();
+                }, 2000);
+            });
+        });
+        it("Should carry on polling after a rejected callback promise without an error listener", function (done) {
+            this.timeout(5e3);
+            const root = path.resolve("/virtual/rejected");
+            const memoryFs = new simplepoll.MemoryFileSystem();
+            let batches = [];
+            memoryFs.mkdir(root, 1000);
+            testPoll = simplepoll.create({
+                path: root,
+                fileSystem: memoryFs,
+                waitForCallback: true,
+                timerPeriod: 50,
+                sort: false,
+                pollCallback: (error, files) => {
+                    batches.push(files);
+                    return batches.length === 1 ? Promise.reject(new Error("Ingestion failed")) : Promise.resolve();
+                }
+            });
+            testPoll.whenReady().then(() => {
+                memoryFs.writeFile(path.join(root, "outputA.txt"), "Some test data", 1000);
+                setTimeout(() => {
+                    memoryFs.writeFile(path.join(root, "outputB.txt"), "Some test data", 1000);
+                }, 200);
+                setTimeout(() => {
+                    chai.expect(batches).to.deep.equal([[path.join(root, "outputA.txt")], [path.join(root, "outputB.txt")]]);
+                    chai.expect(testPoll.getStats().lastError.message).to.equal("Ingestion failed");
+                    simplepoll.destroy(root).then(() => { done(); });
+                }, 500);
+            });
+        });
+        it("Should keep the removal of a file that another file was renamed onto", function (done) {
+            this.timeout(5e3);
+            const root = path.resolve("/virtual/replaced");
+            const fileA = path.join(root, "outputA.txt");
+            const fileB = path.join(root, "outputB.txt");
+            const memoryFs = new simplepoll.MemoryFileSystem();
+            let batches = [];
+            memoryFs.writeFile(fileA, "Some test data", 1000);
+            memoryFs.writeFile(fileB, "Some test data", 1000);
+            testPoll = simplepoll.create({
+                path: root,
+                fileSystem: memoryFs,
+                detectRenames: true,
+                batch: { window: 400 },
+                timerPeriod: 50,
+                sort: false,
+                pollCallback: (error, files, changes) => { batches.push(changes); }
+            });
+            testPoll.whenReady().then(() => {
+                memoryFs.remove(fileB);
+                setTimeout(() => {
+                    memoryFs.rename(fileA, fileB);
+                }, 150);
+                setTimeout(() => {
+                    chai.expect(batches).to.deep.equal([{ added: [], modified: [], removed: [fileB], renamed: [{ from: fileA, to: fileB }] }]);
+                    simplepoll.destroy(root).then(() => { done(); });
+                }, 1000);
+            });
+        });
+        it("Should deliver a file that was renamed and then modified as renamed and then changed", function (done) {
+            this.timeout(5e3);
+            const root = path.resolve("/virtual/renamed");
+            const fileA = path.join(root, "outputA.txt");
+            const fileB = path.join(root, "outputB.txt");
+            const memoryFs = new simplepoll.MemoryFileSystem();
+            let batches = [];
+            let events = [];
+            memoryFs.writeFile(fileA, "Some test data", 1000);
+            testPoll = simplepoll.create({
+                path: root,
+                fileSystem: memoryFs,
+                detectRenames: true,
+                batch: { window: 400 },
+                timerPeriod: 50,
+                sort: false,
+                pollCallback: (error, files, changes) => { batches.push(changes); }
+            });
+            testPoll.on("rename", (from, to) => { events.push("rename " + to); });
+            testPoll.on("change", (file) => { events.push("change " + file); });
+            testPoll.whenReady().then(() => {
+                memoryFs.rename(fileA, fileB);
+                setTimeout(() => {
+                    memoryFs.utimes(fileB, 2000);
+                }, 150);
+                setTimeout(() => {
+                    chai.expect(batches).to.deep.equal([{ added: [], modified: [fileB], removed: [], renamed: [{ from: fileA, to: fileB }] }]);
+                    chai.expect(events).to.deep.equal(["rename " + fileB, "change " + fileB]);
+                    simplepoll.destroy(root).then(() => { done(); });
+                }, 1000);
+            });
+        });
+        it("Should split big batches into chunks", function (done) {
+            this.timeout(10e3);
+            let chunks = [];
+            const config = {
+                path: TEST_DIR,
+                batch: { maxSize: 2 },
+                timerPeriod: 100,
+                sort: true,
+                pollCallback: (error, files) => {
+                    chunks.push(files);
+                    if (chunks.length === 3) {
+                        chai.expect(chunks.map((chunk) => chunk.length)).to.deep.equal([2, 2, 1]);
+                        chai.expect([].concat(...chunks)).to.deep.equal(expected);
+                        done();
+                    }
+                }
+            };
+            const expected = ["1", "2", "3", "4", "5"].map((name) => path.join(batchDir, name + ".txt"));
+            expected.forEach((file) => {
+                fs.outputFileSync(file.replace(batchDir, stagingDir), "Some test data");
+            });
+            testPoll = simplepoll.create(config);
+            testPoll.whenReady().then(() => {
+                // Moving the directory into place makes all of its files show up in the same poll
+                fs.renameSync(stagingDir, batchDir);
+            });
+        });
+        it("Should wait for a promise returned by the callback before polling again", function (done) {
+            this.timeout(10e3);
+            let callbackTime = 0;
+            const config = {
+                path: TEST_DIR,
+                waitForCallback: true,
+                timerPeriod: 100,
+                sort: false,
+                pollCallback: () => {
+                    callbackTime = Date.now();
+                    return new Promise((resolve) => { setTimeout(resolve, 500); });
+                }
+            };
+            testPoll = simplepoll.create(config);
+            testPoll.whenReady().then(() => {
+                testPoll.on("poll", (files) => {
+                    if (files.length > 0) {
+                        chai.expect(Date.now() - callbackTime).to.be.at.least(450);
+                        testPoll.removeAllListeners("poll");
+                        done();
+                    }
+                });
+                fs.outputFileSync(testPaths[0], "Some test data");
+            });
+        });
+    });
+    describe("Rename detection", function () {
+        const movedPath = path.resolve(TEST_DIR, "subdirectory", "moved.txt");
+        const renamedPath = path.resolve(TEST_DIR, "renamed.txt");
+        beforeEach("Rename detection", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            for (let i = 0; i < testPaths.length; i++) {
+                fs.outputFileSync(testPaths[i], "Some test data " + i);
+            }
+        });
+        it("Should not create a SimplePoll instance with invalid rename detection settings", function () {
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, detectRenames: "name", timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, detectRenames: "content", timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should report a moved file as renamed", function () {
+            testPoll = new simplepoll.SimplePoll({ path: TEST_DIR, detectRenames: true, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                fs.renameSync(testPaths[0], movedPath);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes).to.deep.equal({ added: [], modified: [], removed: [], renamed: [{ from: testPaths[0], to: movedPath }] });
+            });
+        });
+        it("Should report a copied and removed file as renamed when matching by content", function () {
+            testPoll = new simplepoll.SimplePoll({ path: TEST_DIR, detectRenames: "content", compare: "hash", timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                fs.copySync(testPaths[1], movedPath);
+                fs.removeSync(testPaths[1]);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.renamed).to.deep.equal([{ from: testPaths[1], to: movedPath }]);
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.removed).to.be.empty;
+            });
+        });
+        it("Should report a moved file as added and removed without rename detection", function () {
+            testPoll = new simplepoll.SimplePoll({ path: TEST_DIR, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                fs.renameSync(testPaths[0], movedPath);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([movedPath]);
+                chai.expect(changes.removed).to.deep.equal([testPaths[0]]);
+                chai.expect(changes.renamed).to.be.empty;
+            });
+        });
+        it("Should emit rename events", function (done) {
+            this.timeout(5e3);
+            testPoll = simplepoll.create({ path: TEST_DIR, detectRenames: true, timerPeriod: 100, sort: false });
+            testPoll.on("rename", (from, to) => {
+                chai.expect(from).to.equal(testPaths[2]);
+                chai.expect(to).to.equal(renamedPath);
+                done();
+            });
+            testPoll.whenReady().then(() => {
+                fs.renameSync(testPaths[2], renamedPath);
+            });
+        });
+    });
+    describe("Multiple watchers", function () {
+        let textPoll = null;
+        let jsonPoll = null;
+        before("Multiple watchers", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+        });
+        it("Should create independent instances for the same directory", function () {
+            textPoll = simplepoll.create({ path: TEST_DIR, extension: ".txt", timerPeriod: 100, sort: false });
+            jsonPoll = simplepoll.create({ path: TEST_DIR, extension: ".json", timerPeriod: 150, sort: false });
+            chai.expect(textPoll).to.not.equal(jsonPoll);
+            chai.expect(textPoll.id).to.not.equal(jsonPoll.id);
+            chai.expect(simplepoll.getHandle(textPoll.id)).to.equal(textPoll);
+            chai.expect(simplepoll.getHandle(jsonPoll.id)).to.equal(jsonPoll);
+            chai.expect(simplepoll.getHandle(TEST_DIR)).to.equal(textPoll);
+        });
+        it("Should detect changes separately for each instance", function (done) {
+            this.timeout(10e3);
+            const textPath = path.resolve(TEST_DIR, "output.txt");
+            const jsonPath = path.resolve(TEST_DIR, "output.json");
+            let pending = 2;
+            textPoll.once("add", (file) => {
+                chai.expect(file).to.equal(textPath);
+                if (--pending === 0) {
+                    done();
+                }
+            });
+            jsonPoll.once("add", (file) => {
+                chai.expect(file).to.equal(jsonPath);
+                if (--pending === 0) {
+                    done();
+                }
+            });
+            // Wait for the startup scans so that they don't see the new files
+            Promise.all([textPoll.whenReady(), jsonPoll.whenReady()]).then(() => {
+                fs.outputFileSync(textPath, "Some test data");
+                fs.outputFileSync(jsonPath, `{"test": "data"}`);
+            });
+        });
+        it("Should only destroy the instance with the given handle ID", function () {
+            simplepoll.destroy(textPoll.id);
+            chai.expect(simplepoll.getHandle(textPoll.id)).to.equal(null);
+            chai.expect(simplepoll.getHandle(jsonPoll.id)).to.equal(jsonPoll);
+            chai.expect(simplepoll.getHandle(TEST_DIR)).to.equal(jsonPoll);
+        });
+        it("Should destroy all instances for a directory", function () {
+            return simplepoll.createAsync({ path: TEST_DIR, extension: ".txt", timerPeriod: 100, sort: false }).then((handle) => {
+                textPoll = handle;
+                simplepoll.destroy(TEST_DIR);
+                chai.expect(simplepoll.getHandle(textPoll.id)).to.equal(null);
+                chai.expect(simplepoll.getHandle(jsonPoll.id)).to.equal(null);
+                chai.expect(simplepoll.getHandle(TEST_DIR)).to.equal(null);
+            });
+        });
+    });
+    describe("Scheduling", function () {
+        let stat_stub;
+        before("Scheduling", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            for (let i = 0; i < testPaths.length; i++) {
+                fs.outputFileSync(testPaths[i], "Some test data");
+            }
+        });
+        afterEach("Scheduling", function () {
+            if (stat_stub) {
+                stat_stub.restore();
+                stat_stub = null;
+            }
+            simplepoll.resumeAll();
+            simplepoll.configureScheduler({ maxScans: Infinity, maxStats: Infinity });
+            simplepoll.destroy(TEST_DIR);
+        });
+        it("Should not accept invalid scheduler limits or priorities", function () {
+            chai.expect(() => { simplepoll.configureScheduler({ maxScans: 0 }); }).to.throw(Error);
+            chai.expect(() => { new simplepoll.Scheduler({ maxStats: 0 }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: TEST_DIR, priority: NaN, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should start queued scans in order of priority", function () {
+            const scheduler = new simplepoll.Scheduler({ maxScans: 1 });
+            let started = [];
+            let releaseFirst = null;
+            scheduler.runScan(0, (release) => { started.push("first"); releaseFirst = release; });
+            scheduler.runScan(0, (release) => { started.push("low"); release(); });
+            scheduler.runScan(5, (release) => { started.push("high"); release(); });
+            chai.expect(started).to.deep.equal(["first"]);
+            releaseFirst();
+            chai.expect(started).to.deep.equal(["first", "high", "low"]);
+        });
+        it("Should limit how many stat calls run at once", function () {
+            const originalStat = nodeFs.stat;
+            let active = 0;
+            let mostActive = 0;
+            testPoll = new simplepoll.SimplePoll({ path: TEST_DIR, statConcurrency: 10, timerPeriod: 1000, sort: false }, new simplepoll.Scheduler({ maxStats: 2 }));
+            return testPoll.whenReady().then(() => {
+                stat_stub = sinon.stub(nodeFs, "stat").callsFake((file, callback) => {
+                    mostActive = Math.max(mostActive, ++active);
+                    originalStat(file, (error, stats) => {
+                        active--;
+                        callback(error, stats);
+                    });
+                });
+                return testPoll.pollOnce();
+            }).then(() => {
+                chai.expect(stat_stub.callCount).to.be.above(2);
+                chai.expect(mostActive).to.equal(2);
+            });
+        });
+        it("Should hold back polls while paused", function (done) {
+            this.timeout(5e3);
+            let pausedAt = 0;
+            const config = {
+                path: TEST_DIR,
+                timerPeriod: 100,
+                sort: false,
+                pollCallback: (error, files) => {
+                    chai.expect(files).to.deep.equal([testPaths[0]]);
+                    chai.expect(Date.now() - pausedAt).to.be.at.least(450);
+                    done();
+                }
+            };
+            testPoll = simplepoll.create(config);
+            testPoll.whenReady().then(() => {
+                simplepoll.pauseAll();
+                pausedAt = Date.now();
+                fs.utimesSync(testPaths[0], new Date(), new Date(Date.now() + 10e3));
+                setTimeout(simplepoll.resumeAll, 500);
+            });
+        });
+        it("Should destroy every instance", function () {
+            let first = simplepoll.create({ path: TEST_DIR, timerPeriod: 1000, sort: false });
+            let second = simplepoll.create({ path: testPaths[0], timerPeriod: 1000, sort: false });
+            simplepoll.destroyAll();
+            chai.expect(simplepoll.getHandle(first.id)).to.equal(null);
+            chai.expect(simplepoll.getHandle(second.id)).to.equal(null);
+        });
+    });
+    describe("Filesystem adapters", function () {
+        const root = path.resolve("/virtual/data");
+        const rootFile = path.join(root, "outputA.txt");
+        const nestedFile = path.join(root, "subdirectory", "outputB.txt");
+        let memoryFs = null;
+        beforeEach("Filesystem adapters", function () {
+            memoryFs = new simplepoll.MemoryFileSystem();
+            memoryFs.writeFile(rootFile, "Some test data", 1000);
+            memoryFs.writeFile(nestedFile, "Some test data", 1000);
+        });
+        it("Should not create a SimplePoll instance with an invalid filesystem adapter", function () {
+            const noStreams = { stat: memoryFs.stat, lstat: memoryFs.lstat, readdir: memoryFs.readdir };
+            chai.expect(() => { simplepoll.create({ path: root, fileSystem: {}, timerPeriod: 1000, sort: false }); }).to.throw(Error);
+            chai.expect(() => { simplepoll.create({ path: root, fileSystem: noStreams, compare: "hash", timerPeriod: 1000, sort: false }); }).to.throw(Error);
+        });
+        it("Should pass back errors like the fs module does", function (done) {
+            memoryFs.stat(path.join(root, "missing.txt"), (error) => {
+                chai.expect(error.code).to.equal("ENOENT");
+                memoryFs.readdir(rootFile, (error) => {
+                    chai.expect(error.code).to.equal("ENOTDIR");
+                    done();
+                });
+            });
+        });
+        it("Should detect changes in an in-memory filesystem", function () {
+            const newFile = path.join(root, "subdirectory", "outputC.txt");
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: memoryFs, timerPeriod: 1000, sort: true });
+            return testPoll.whenReady().then(() => {
+                memoryFs.writeFile(newFile, "Some test data", 1000);
+                memoryFs.utimes(rootFile, 2000);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([newFile]);
+                chai.expect(changes.modified).to.deep.equal([rootFile]);
+                memoryFs.remove(path.dirname(nestedFile));
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.removed).to.deep.equal([nestedFile, newFile]);
+            });
+        });
+        it("Should detect renamed and rewritten files in an in-memory filesystem", function () {
+            const movedFile = path.join(root, "outputD.txt");
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: memoryFs, compare: "hash", detectRenames: true, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                memoryFs.rename(nestedFile, movedFile);
+                // Same size and mtime, so only the hash can tell
+                memoryFs.writeFile(rootFile, "Some best data", 1000);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.renamed).to.deep.equal([{ from: nestedFile, to: movedFile }]);
+                chai.expect(changes.modified).to.deep.equal([rootFile]);
+            });
+        });
+        it("Should poll through a custom filesystem adapter", function () {
+            let listed = [];
+            const customFs = {
+                stat: memoryFs.stat,
+                lstat: memoryFs.lstat,
+                readdir: (directory, readdirCallback) => {
+                    listed.push(directory);
+                    memoryFs.readdir(directory, readdirCallback);
+                }
+            };
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: customFs, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                memoryFs.writeFile(rootFile, "Some new test data");
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.deep.equal([rootFile]);
+                chai.expect(listed).to.deep.equal([root, path.dirname(nestedFile), root, path.dirname(nestedFile)]);
+            });
+        });
+    });
+    describe("Statistics", function () {
+        const root = path.resolve("/virtual/stats");
+        const rootFile = path.join(root, "outputA.txt");
+        const nestedFile = path.join(root, "subdirectory", "outputB.txt");
+        let memoryFs = null;
+        beforeEach("Statistics", function () {
+            memoryFs = new simplepoll.MemoryFileSystem();
+            memoryFs.writeFile(rootFile, "Some test data", 1000);
+            memoryFs.writeFile(nestedFile, "Some test data", 1000);
+        });
+        afterEach("Statistics", function () {
+            simplepoll.destroy(root);
+        });
+        it("Should report a watcher's state and poll statistics", function () {
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: memoryFs, timerPeriod: 1000, sort: false });
+            chai.expect(testPoll.getStats().state).to.equal("initializing");
+            return testPoll.whenReady().then(() => {
+                let stats = testPoll.getStats();
+                chai.expect(stats.state).to.equal("stopped");
+                chai.expect(stats.trackedFiles).to.equal(2);
+                chai.expect(stats.polls).to.equal(0);
+                chai.expect(stats.lastPollStart).to.equal(null);
+                memoryFs.utimes(rootFile, 2000);
+                return testPoll.pollOnce();
+            }).then(() => {
+                let stats = testPoll.getStats();
+                chai.expect(stats.polls).to.equal(1);
+                chai.expect(stats.changesReported).to.equal(1);
+                chai.expect(stats.lastPollFilesStatted).to.equal(4);
+                chai.expect(stats.filesStatted).to.equal(8);
+                chai.expect(stats.lastPollEnd).to.be.at.least(stats.lastPollStart);
+                chai.expect(stats.lastPollDuration).to.equal(stats.lastPollEnd - stats.lastPollStart);
+                chai.expect(stats.consecutiveErrors).to.equal(0);
+                chai.expect(stats.lastError).to.equal(null);
+            });
+        });
+        it("Should report failed polls", function (done) {
+            let rootReads = 0;
+            const failingFs = {
+                stat: memoryFs.stat,
+                lstat: memoryFs.lstat,
+                readdir: (directory, readdirCallback) => {
+                    // Fails the first poll after the startup scan
+                    if (directory === root && ++rootReads === 2) {
+                        let error = new Error("EACCES: permission denied");
+                        error.code = "EACCES";
+                        return setImmediate(readdirCallback, error, undefined);
+                    }
+                    memoryFs.readdir(directory, readdirCallback);
+                }
+            };
+            testPoll = simplepoll.create({ path: root, fileSystem: failingFs, timerPeriod: 50, sort: false });
+            testPoll.on("error", (error) => {
+                let stats = testPoll.getStats();
+                let totals = simplepoll.getStats();
+                chai.expect(stats.state).to.equal("running");
+                chai.expect(stats.consecutiveErrors).to.equal(1);
+                chai.expect(stats.lastError).to.equal(error);
+                chai.expect(totals.failing).to.equal(1);
+                chai.expect(totals.watchers.map((watcher) => watcher.id)).to.include(testPoll.id);
+                done();
+            });
+        });
+        it("Should add up the statistics of every watcher", function () {
+            const other = simplepoll.create({ path: root, fileSystem: memoryFs, extension: ".txt", timerPeriod: 1000, sort: false });
+            testPoll = simplepoll.create({ path: root, fileSystem: memoryFs, timerPeriod: 1000, sort: false });
+            return Promise.all([testPoll.whenReady(), other.whenReady()]).then(() => {
+                let totals = simplepoll.getStats();
+                chai.expect(totals.watchers).to.have.lengthOf(2);
+                chai.expect(totals.running).to.equal(2);
+                chai.expect(totals.trackedFiles).to.equal(4);
+                chai.expect(totals.filesStatted).to.equal(8);
+            });
+        });
+    });
+    describe("File entries", function () {
+        const root = path.resolve("/virtual/entries");
+        const rootFile = path.join(root, "outputA.txt");
+        const nestedFile = path.join(root, "subdirectory", "outputB.txt");
+        let memoryFs = null;
+        beforeEach("File entries", function () {
+            memoryFs = new simplepoll.MemoryFileSystem();
+            memoryFs.writeFile(rootFile, "Some test data", 1000);
+            memoryFs.writeFile(nestedFile, "Some test data", 1000);
+        });
+        afterEach("File entries", function () {
+            simplepoll.destroy(root);
+        });
+        it("Should not add entries to change sets by default", function () {
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: memoryFs, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                memoryFs.utimes(rootFile, 2000);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.modified).to.deep.equal([rootFile]);
+                chai.expect(changes).to.not.have.property("entries");
+            });
+        });
+        it("Should describe each reported file", function () {
+            const newFile = path.join(root, "subdirectory", "outputC.txt");
+            const movedFile = path.join(root, "outputD.txt");
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: memoryFs, fileEntries: true, detectRenames: true, timerPeriod: 1000, sort: true });
+            return testPoll.whenReady().then(() => {
+                memoryFs.writeFile(newFile, "More test data", 3000);
+                memoryFs.writeFile(rootFile, "Changed test data", 2000);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.entries).to.have.lengthOf(2);
+                chai.expect(changes.entries[0]).to.include({ path: rootFile, relativePath: "outputA.txt", change: "change", size: 17, mtimeMs: 2000, previousMtimeMs: 1000 });
+                chai.expect(changes.entries[0].stats.isFile()).to.equal(true);
+                chai.expect(changes.entries[1]).to.include({ path: newFile, relativePath: "subdirectory/outputC.txt", change: "add", size: 14, mtimeMs: 3000, previousMtimeMs: null });
+                chai.expect(changes.entries[1]).to.not.have.property("from");
+                memoryFs.remove(newFile);
+                memoryFs.rename(nestedFile, movedFile);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.entries).to.have.lengthOf(2);
+                chai.expect(changes.entries[0]).to.include({ path: newFile, change: "unlink", size: 14, mtimeMs: 3000, stats: null });
+                chai.expect(changes.entries[1]).to.include({ path: movedFile, relativePath: "outputD.txt", change: "rename", from: nestedFile, mtimeMs: 1000 });
+            });
+        });
+        it("Should sort entries with the sort method", function () {
+            const newFile = path.join(root, "outputC.txt");
+            testPoll = new simplepoll.SimplePoll({
+                path: root,
+                fileSystem: memoryFs,
+                fileEntries: true,
+                timerPeriod: 1000,
+                sort: true,
+                // Oldest first
+                sortMethod: (input, sortMethodCallback) => {
+                    return sortMethodCallback(null, input.sort((a, b) => { return a.mtimeMs - b.mtimeMs; }));
+                }
+            });
+            return testPoll.whenReady().then(() => {
+                memoryFs.utimes(rootFile, 4000);
+                memoryFs.utimes(nestedFile, 2000);
+                memoryFs.writeFile(newFile, "Some test data", 3000);
+                return testPoll.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.entries.map((entry) => { return entry.path; })).to.deep.equal([nestedFile, newFile, rootFile]);
+                chai.expect(changes.added).to.deep.equal([newFile]);
+                chai.expect(changes.modified).to.deep.equal([nestedFile, rootFile]);
+            });
+        });
+        it("Should keep the previous mtime from before the batch", function (done) {
+            this.timeout(5e3);
+            let batches = [];
+            testPoll = simplepoll.create({
+                path: root,
+                fileSystem: memoryFs,
+                fileEntries: true,
+                batch: { window: 300 },
+                timerPeriod: 50,
+                sort: false,
+                pollCallback: (error, files, changes) => { batches.push(changes); }
+            });
+            testPoll.whenReady().then(() => {
+                memoryFs.utimes(rootFile, 2000);
+                setTimeout(() => {
+                    memoryFs.utimes(rootFile, 3000);
+                }, 150);
+                setTimeout(() => {
+                    chai.expect(batches).to.have.lengthOf(1);
+                    chai.expect(batches[0].entries).to.have.lengthOf(1);
+                    chai.expect(batches[0].entries[0]).to.include({ path: rootFile, change: "change", mtimeMs: 3000, previousMtimeMs: 1000 });
+                    done();
+                }, 1000);
+            });
+        });
+        it("Should pass entries to event listeners", function (done) {
+            this.timeout(5e3);
+            testPoll = simplepoll.create({ path: root, fileSystem: memoryFs, fileEntries: true, timerPeriod: 50, sort: false });
+            testPoll.on("change", (file, entry) => {
+                chai.expect(file).to.equal(nestedFile);
+                chai.expect(entry).to.include({ path: nestedFile, change: "change", mtimeMs: 2000, previousMtimeMs: 1000 });
+                done();
+            });
+            testPoll.whenReady().then(() => {
+                memoryFs.utimes(nestedFile, 2000);
+            });
+        });
+    });
+    describe("Lifecycle", function () {
+        const root = path.resolve("/virtual/lifecycle");
+        const rootFile = path.join(root, "outputA.txt");
+        const nestedFile = path.join(root, "subdirectory", "outputB.txt");
+        let memoryFs = null;
+        let slowFs = null;
+        let onReaddir = null;
+        beforeEach("Lifecycle", function () {
+            memoryFs = new simplepoll.MemoryFileSystem();
+            memoryFs.writeFile(rootFile, "Some test data", 1000);
+            memoryFs.writeFile(nestedFile, "Some test data", 1000);
+            onReaddir = null;
+            // Slow enough to stop or destroy a watcher while it's polling
+            slowFs = {
+                stat: memoryFs.stat,
+                lstat: memoryFs.lstat,
+                readdir: (directory, readdirCallback) => {
+                    if (onReaddir) {
+                        onReaddir();
+                    }
+                    setTimeout(() => { memoryFs.readdir(directory, readdirCallback); }, 50);
+                }
+            };
+        });
+        afterEach("Lifecycle", function () {
+            return simplepoll.destroy(root);
+        });
+        it("Should finish a running poll without restarting when stopped", function () {
+            let delivered = [];
+            let polls = 0;
+            testPoll = new simplepoll.SimplePoll({
+                path: root,
+                fileSystem: slowFs,
+                timerPeriod: 10,
+                sort: false,
+                pollCallback: (error, files) => { delivered = delivered.concat(files); }
+            });
+            testPoll.on("poll", () => { polls++; });
+            return testPoll.whenReady().then(() => {
+                memoryFs.utimes(rootFile, 2000);
+                return new Promise((resolve) => {
+                    onReaddir = resolve;
+                    testPoll.start();
+                });
+            }).then(() => {
+                chai.expect(testPoll.getStats().state).to.equal("running");
+                return testPoll.stop();
+            }).then(() => {
+                chai.expect(delivered).to.deep.equal([rootFile]);
+                chai.expect(polls).to.equal(1);
+                chai.expect(testPoll.getStats().state).to.equal("stopped");
+                return new Promise((resolve) => { setTimeout(resolve, 100); });
+            }).then(() => {
+                chai.expect(polls).to.equal(1);
+            });
+        });
+        it("Should drop the changes of a running poll when destroyed", function () {
+            let delivered = [];
+            let polls = 0;
+            testPoll = simplepoll.create({
+                path: root,
+                fileSystem: slowFs,
+                timerPeriod: 10,
+                sort: false,
+                pollCallback: (error, files) => { delivered = delivered.concat(files); }
+            });
+            testPoll.on("poll", () => { polls++; });
+            return testPoll.whenReady().then(() => {
+                memoryFs.utimes(rootFile, 2000);
+                return new Promise((resolve) => { onReaddir = resolve; });
+            }).then(() => {
+                return simplepoll.destroy(testPoll.id);
+            }).then(() => {
+                chai.expect(simplepoll.getHandle(testPoll.id)).to.equal(null);
+                // Destroyed watchers can't be started again
+                testPoll.start();
+                return new Promise((resolve) => { setTimeout(resolve, 100); });
+            }).then(() => {
+                chai.expect(delivered).to.be.empty;
+                chai.expect(polls).to.equal(0);
+                chai.expect(testPoll.getStats().state).to.equal("stopped");
+            });
+        });
+        it("Should cancel a poll that's waiting for the scheduler when stopped", function () {
+            let scheduler = new simplepoll.Scheduler();
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: memoryFs, timerPeriod: 10, sort: false }, scheduler);
+            return testPoll.whenReady().then(() => {
+                scheduler.pause();
+                testPoll.start();
+                return new Promise((resolve) => { setTimeout(resolve, 50); });
+            }).then(() => {
+                chai.expect(testPoll.getStats().state).to.equal("running");
+                return testPoll.stop();
+            }).then(() => {
+                scheduler.resume();
+                return new Promise((resolve) => { setTimeout(resolve, 50); });
+            }).then(() => {
+                chai.expect(testPoll.getStats().polls).to.equal(0);
+                chai.expect(testPoll.getStats().state).to.equal("stopped");
+            });
+        });
+        it("Should wait for a running pollOnce() scan and drop its changes when destroyed", function () {
+            let scanned = null;
+            testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: slowFs, timerPeriod: 1000, sort: false });
+            return testPoll.whenReady().then(() => {
+                memoryFs.utimes(rootFile, 2000);
+                return new Promise((resolve) => {
+                    onReaddir = resolve;
+                    testPoll.pollOnce().then((changes) => { scanned = changes; });
+                });
+            }).then(() => {
+                return testPoll.destroy();
+            }).then(() => {
+                chai.expect(scanned).to.deep.equal({ added: [], modified: [], removed: [], renamed: [] });
+            });
+        });
+        it("Should end async iteration without yielding the changes of a scan running when destroyed", function () {
+            return __awaiter(this, void 0, void 0, function* () {
+                var e_1, _a;
+                let batches = [];
+                let destroyed = null;
+                testPoll = new simplepoll.SimplePoll({ path: root, fileSystem: slowFs, timerPeriod: 10, sort: false });
+                yield testPoll.whenReady();
+                memoryFs.utimes(rootFile, 2000);
+                onReaddir = () => {
+                    onReaddir = null;
+                    destroyed = testPoll.destroy();
+                };
+                try {
+                    for (var testPoll_1 = __asyncValues(testPoll), testPoll_1_1; testPoll_1_1 = yield testPoll_1.next(), !testPoll_1_1.done;) {
+                        const changes = testPoll_1_1.value;
+                        batches.push(changes);
+                    }
+                }
+                catch (e_1_1) { e_1 = { error: e_1_1 }; }
+                finally {
+                    try {
+                        if (testPoll_1_1 && !testPoll_1_1.done && (_a = testPoll_1.return)) yield _a.call(testPoll_1);
+                    }
+                    finally { if (e_1) throw e_1.error; }
+                }
+                yield destroyed;
+                chai.expect(batches).to.be.empty;
+            });
+        });
+        it("Should hold back changes while paused", function (done) {
+            this.timeout(5e3);
+            const newFile = path.join(root, "outputC.txt");
+            let batches = [];
+            let polls = 0;
+            testPoll = simplepoll.create({
+                path: root,
+                fileSystem: memoryFs,
+                timerPeriod: 50,
+                sort: true,
+                pollCallback: (error, files, changes) => { batches.push(changes); }
+            });
+            testPoll.on("poll", () => { polls++; });
+            testPoll.whenReady().then(() => {
+                testPoll.pause();
+                memoryFs.utimes(rootFile, 2000);
+                memoryFs.writeFile(newFile, "Some test data", 1000);
+                setTimeout(() => {
+                    memoryFs.remove(newFile);
+                    memoryFs.utimes(nestedFile, 2000);
+                }, 150);
+                setTimeout(() => {
+                    chai.expect(batches).to.be.empty;
+                    chai.expect(polls).to.equal(0);
+                    chai.expect(testPoll.getStats().state).to.equal("paused");
+                    chai.expect(testPoll.getStats().polls).to.be.above(1);
+                    testPoll.resume();
+                }, 400);
+                setTimeout(() => {
+                    chai.expect(batches).to.deep.equal([{ added: [], modified: [rootFile, nestedFile], removed: [], renamed: [] }]);
+                    done();
+                }, 600);
+            });
+        });
+        it("Should only keep the process running if persistent", function () {
+            this.timeout(10e3);
+            let runWatcher = (persistent) => {
+                let script = [
+                    "const simplepoll = require(" + JSON.stringify(path.resolve("SimplePoll")) + ");",
+                    "const watcher = simplepoll.create({ path: " + JSON.stringify(path.resolve(TEST_DIR)) + ", persistent: " + persistent + ", timerPeriod: 50, sort: false });",
+                    "setTimeout(() => { watcher.destroy().then(() => { console.log(\"destroyed\"); }); }, 300).unref();"
+                ].join("\n");
+                let result = childProcess.spawnSync(process.execPath, ["-e", script], { encoding: "utf8", timeout: 5000 });
+                chai.expect(result.signal).to.equal(null);
+                return result.stdout.trim();
+            };
+            chai.expect(runWatcher(false)).to.equal("");
+            chai.expect(runWatcher(true)).to.equal("destroyed");
+        });
+    });
+    describe("Command-line tool", function () {
+        const cliPath = path.resolve(__dirname, "..", "bin", "simplepoll.js");
+        let cli = null;
+        beforeEach("Command-line tool", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+        });
+        afterEach("Command-line tool", function () {
+            if (cli) {
+                cli.kill();
+                cli = null;
+            }
+        });
+        // Starts the tool and calls back with each line it prints, once it's watching
+        function startCli(args, onLine, onReady) {
+            let output = "";
+            cli = childProcess.spawn(process.execPath, [cliPath].concat(args));
+            cli.stderr.on("data", (data) => {
+                if (data.toString().indexOf("watching") !== -1) {
+                    onReady();
+                }
+            });
+            cli.stdout.on("data", (data) => {
+                let lines = (output + data.toString()).split("\n");
+                output = lines.pop();
+                lines.forEach(onLine);
+            });
+        }
+        it("Should parse command-line arguments", function () {
+            let options = CommandLine.parseArgs(["-e", ".txt", "--extension", ".log", "-x", "**/tmp/**", "-t", "500", "-d", "2", "-s", "--json", "./a", "-p", "./b"]);
+            chai.expect(options.paths).to.deep.equal(["./a", "./b"]);
+            chai.expect(options.extensions).to.deep.equal([".txt", ".log"]);
+            chai.expect(options.exclude).to.deep.equal(["**/tmp/**"]);
+            chai.expect(options.period).to.equal(500);
+            chai.expect(options.depth).to.equal(2);
+            chai.expect(options.sort).to.equal(true);
+            chai.expect(options.json).to.equal(true);
+        });
+        it("Should reject invalid command-line arguments", function () {
+            chai.expect(() => { CommandLine.parseArgs([]); }).to.throw(Error);
+            chai.expect(() => { CommandLine.parseArgs(["--bogus", TEST_DIR]); }).to.throw(Error);
+            chai.expect(() => { CommandLine.parseArgs(["--period", "soon", TEST_DIR]); }).to.throw(Error);
+            chai.expect(() => { CommandLine.parseArgs(["--stdin", TEST_DIR]); }).to.throw(Error);
+            chai.expect(() => { CommandLine.parseArgs([TEST_DIR, "--exec"]); }).to.throw(Error);
+        });
+        it("Should print changes as JSON and exit on SIGINT", function (done) {
+            this.timeout(10e3);
+            startCli(["--json", "--period", "100", TEST_DIR], (line) => {
+                let change = JSON.parse(line);
+                chai.expect(change.type).to.equal("add");
+                chai.expect(change.file).to.equal(testPaths[0]);
+                cli.on("exit", (code) => {
+                    chai.expect(code).to.equal(0);
+                    cli = null;
+                    done();
+                });
+                cli.kill("SIGINT");
+            }, () => {
+                fs.outputFileSync(testPaths[0], "Some test data");
+            });
+        });
+        it("Should run a command for each batch of files", function (done) {
+            this.timeout(10e3);
+            let lines = [];
+            startCli(["--period", "100", "--exec", "echo", TEST_DIR], (line) => {
+                lines.push(line);
+                if (lines.length === 2) {
+                    chai.expect(lines).to.deep.equal(["added   " + testPaths[1], testPaths[1]]);
+                    done();
+                }
+            }, () => {
+                fs.outputFileSync(testPaths[1], "Some test data");
+            });
+        });
+    });
+    describe("Filtering", function () {
+        const rootLog = path.resolve(TEST_DIR, "root.log");
+        const nestedLog = path.resolve(TEST_DIR, "nested", "nested.log");
+        const ignoredLog = path.resolve(TEST_DIR, "ignored", "ignored.log");
+        const rootText = path.resolve(TEST_DIR, "root.txt");
+        const rootJson = path.resolve(TEST_DIR, "root.json");
+        beforeEach("Filtering", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+        });
+        after("Filtering", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        function writeTestFiles() {
+            fs.outputFileSync(rootLog, "Some test data");
+            fs.outputFileSync(nestedLog, "Some test data");
+            fs.outputFileSync(ignoredLog, "Some test data");
+            fs.outputFileSync(rootText, "Some test data");
+            fs.outputFileSync(rootJson, "{}");
+        }
+        it("Should filter on multiple extensions", function () {
+            return simplepoll.createAsync({ path: TEST_DIR, extension: [".txt", ".json"], timerPeriod: 1000, sort: true }).then((handle) => {
+                writeTestFiles();
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([rootJson, rootText]);
+            });
+        });
+        it("Should filter on include globs and skip negated globs", function () {
+            const config = {
+                path: TEST_DIR,
+                include: ["**/*.log", "!ignored/**"],
+                timerPeriod: 1000,
+                sort: true
+            };
+            return simplepoll.createAsync(config).then((handle) => {
+                writeTestFiles();
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([nestedLog, rootLog]);
+            });
+        });
+        it("Should filter on regular expressions", function () {
+            return simplepoll.createAsync({ path: TEST_DIR, include: /^root\./, timerPeriod: 1000, sort: true }).then((handle) => {
+                writeTestFiles();
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([rootJson, rootLog, rootText]);
+            });
+        });
+        it("Should filter with a predicate function", function () {
+            const config = {
+                path: TEST_DIR,
+                filter: (file, stats) => { return stats.size < 10; },
+                timerPeriod: 1000,
+                sort: true
+            };
+            return simplepoll.createAsync(config).then((handle) => {
+                writeTestFiles();
+                return handle.pollOnce();
+            }).then((changes) => {
+                chai.expect(changes.added).to.deep.equal([rootJson]);
+            });
+        });
+        it("Should not read excluded directories", function () {
+            let readdir_spy = sinon.spy(nodeFs, "readdir");
+            writeTestFiles();
+            return simplepoll.createAsync({ path: TEST_DIR, exclude: "**/ignored/**", timerPeriod: 1000, sort: true }).then((handle) => {
+                fs.outputFileSync(ignoredLog, "Some other test data");
+                fs.outputFileSync(path.resolve(TEST_DIR, "ignored", "another.log"), "Some test data");
+                return handle.pollOnce();
+            }).then((changes) => {
+                let readDirectories = readdir_spy.args.map((args) => { return args[0]; });
+                readdir_spy.restore();
+                chai.expect(changes.added).to.be.empty;
+                chai.expect(changes.modified).to.be.empty;
+                chai.expect(readDirectories).to.include(path.resolve(TEST_DIR, "nested"));
+                chai.expect(readDirectories).to.not.include(path.resolve(TEST_DIR, "ignored"));
+            }, (error) => {
+                readdir_spy.restore();
+                throw error;
+            });
+        });
+    });
+    describe("Events", function () {
+        const config = {
+            path: TEST_DIR,
+            extension: ".txt",
+            timerPeriod: 100,
+            sort: true
+        };
+        before("Events", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+            fs.outputFileSync(testPaths[0], "Some test data");
+            fs.outputFileSync(testPaths[1], "Some test data");
+        });
+        after("Events", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        it("Should emit ready once the startup scan completes", function (done) {
+            testPoll = simplepoll.create(config);
+            testPoll.once("ready", done);
+        });
+        it("Should emit add, change and unlink events for each file", function (done) {
+            this.timeout(10e3);
+            const newPath = path.resolve(TEST_DIR, "outputE.txt");
+            let emitted = [];
+            testPoll.on("add", (file) => { emitted.push("add " + file); });
+            testPoll.on("change", (file) => { emitted.push("change " + file); });
+            testPoll.on("unlink", (file) => { emitted.push("unlink " + file); });
+            testPoll.once("poll", (files, changes) => {
+                chai.expect(files).to.deep.equal([testPaths[0], newPath]);
+                chai.expect(emitted).to.deep.equal([
+                    "add " + newPath,
+                    "change " + testPaths[0],
+                    "unlink " + testPaths[1]
+                ]);
+                testPoll.removeAllListeners();
+                done();
+            });
+            fs.outputFileSync(newPath, "Some test data");
+            fs.utimesSync(testPaths[0], new Date(), new Date(Date.now() + 10e3));
+            fs.removeSync(testPaths[1]);
+        });
+        it("Should emit poll events with empty change sets when nothing changed", function (done) {
+            this.timeout(10e3);
+            testPoll.once("poll", (files, changes) => {
+                chai.expect(files).to.be.empty;
+                chai.expect(changes.removed).to.be.empty;
+                done();
+            });
+        });
+    });
+    describe("Promises and async iteration", function () {
+        const config = {
+            path: TEST_DIR,
+            extension: ".txt",
+            timerPeriod: 100,
+            sort: true
+        };
+        before("Promises and async iteration", function () {
+            simplepoll.destroy(TEST_DIR);
+            fs.emptyDirSync(TEST_DIR);
+        });
+        after("Promises and async iteration", function () {
+            simplepoll.destroy(TEST_DIR);
+        });
+        it("Should resolve once the startup scan completes", function () {
+            return simplepoll.createAsync(config).then((handle) => {
+                chai.expect(handle).to.be.an.instanceof(simplepoll.SimplePoll);
+                testPoll = handle;
+            });
+        });
+        it("Should poll on demand", function () {
+            fs.outputFileSync(testPaths[0], "Some test data");
+            return testPoll.pollOnce().then((changes) => {
+                chai.expect(changes.added).to.deep.equal([testPaths[0]]);
+                chai.expect(changes.modified).to.be.empty;
+                chai.expect(changes.removed).to.be.empty;
+            });
+        });
+        it("Should iterate over batches of changes", function () {
+            return __awaiter(this, void 0, void 0, function* () {
+                var e_2, _a;
+                this.timeout(10e3);
+                let batches = [];
+                fs.outputFileSync(testPaths[1], "Some test data");
+                try {
+                    for (var testPoll_2 = __asyncValues(testPoll), testPoll_2_1; testPoll_2_1 = yield testPoll_2.next(), !testPoll_2_1.done;) {
+                        const changes = testPoll_2_1.value;
+                        batches.push(changes);
+                        if (batches.length === 1) {
+                            fs.removeSync(testPaths[0]);
+                        }
+                        else {
+                            break;
+                        }
+                    }
+                }
+                catch (e_2_1) { e_2 = { error: e_2_1 }; }
+                finally {
+                    try {
+                        if (testPoll_2_1 && !testPoll_2_1.done && (_a = testPoll_2.return)) yield _a.call(testPoll_2);
+                    }
+                    finally { if (e_2) throw e_2.error; }
+                }
+                chai.expect(batches[0].added).to.deep.equal([testPaths[1]]);
+                chai.expect(batches[1].removed).to.deep.equal([testPaths[0]]);
+            });
+        });
+        it("Should reject if the startup scan fails", function () {
+            simplepoll.destroy(TEST_DIR);
+            let readdir_read = sinon.stub(nodeFs, "readdir");
+            readdir_read.yieldsAsync(new Error("read error"), null);
+            return simplepoll.createAsync(config).then(() => {
+                readdir_read.restore();
+                throw new Error("Expected createAsync() to reject");
+            }, (error) => {
+                readdir_read.restore();
+                chai.expect(error.message).to.equal("read error");
+                chai.expect(simplepoll.getHandle(TEST_DIR)).to.equal(null);
+            });
         });
     });
     describe("Error handling", function () {
@@ -288,6 +2119,7 @@ describe("int:SimplePoll", function () {
         it("Should have errors passed up to the user-defined callback", function (done) {
             this.timeout(10e3);
             fs_stat = sinon.stub(nodeFs, "stat");
+            fs_stat.callThrough();
             const config = {
                 path: TEST_DIR,
                 extension: ".txt",
@@ -296,11 +2128,6 @@ describe("int:SimplePoll", function () {
                 pollCallback: pollCallbackWrapper
             };
             testPoll = simplepoll.create(config);
-            // Purposely setup the stubs after simplepoll.create to allow the initial calls to go through for the setup
-            // Allow first call (inside of the async-readdir package) to call fs.stat normally
-            fs_stat.callThrough();
-            // This is the fs.stat call inside SimplePoll
-            fs_stat.onCall(1).yieldsAsync(new Error("stats error"), null);
             callbackAssertions = function (error, files) {
                 chai.expect(error).to.not.be.null;
                 chai.expect(error).to.be.an.instanceof(Error);
@@ -308,12 +2135,17 @@ describe("int:SimplePoll", function () {
                 fs_stat.restore();
                 done();
             };
-            fs.outputFileSync(testPaths[0], "Some test data");
+            // Purposely setup the stubs after the startup scan to allow the initial calls to go through for the setup
+            testPoll.once("ready", () => {
+                // This is the fs.stat call for the new file (after the one for the directory itself)
+                fs_stat.onCall(fs_stat.callCount + 1).yieldsAsync(new Error("stats error"), null);
+                fs.outputFileSync(testPaths[0], "Some test data");
+            });
         });
         // Handle directory polling errors on startup when creating a new SimplePoll instance
-        it("Should throw any errors encountered while initializing (1/2)", function (done) {
+        it("Should emit any errors encountered while initializing (1/2)", function (done) {
             this.timeout(10e3);
-            readdir_read = sinon.stub(readdir, "read");
+            readdir_read = sinon.stub(nodeFs, "readdir");
             readdir_read.yieldsAsync(new Error("read error"), null);
             const config = {
                 path: TEST_DIR,
@@ -322,24 +2154,27 @@ describe("int:SimplePoll", function () {
                 sort: false,
                 pollCallback: pollCallbackWrapper
             };
+            let callbackError = null;
+            callbackAssertions = function (error) {
+                callbackError = error;
+            };
             fs.outputFileSync(testPaths[0], "Some test data");
-            // Intercept uncaughtException inside the async function before Node and Mocha
-            // (this is the only way to test thrown errors inside async functions)
-            process.prependOnceListener("uncaughtException", (error) => {
+            testPoll = simplepoll.create(config);
+            testPoll.once("error", (error) => {
                 chai.expect(error).to.not.be.null;
                 chai.expect(error).to.be.an.instanceof(Error);
+                chai.expect(error.message).to.equal("read error");
+                chai.expect(callbackError).to.equal(error);
                 readdir_read.restore();
                 done();
             });
-            simplepoll.create(config);
         });
         // Handle directory polling errors on startup when creating a new SimplePoll instance
-        it("Should throw any errors encountered while initializing (2/2)", function (done) {
+        it("Should emit any errors encountered while initializing (2/2)", function (done) {
             this.timeout(10e3);
             fs_stat = sinon.stub(nodeFs, "stat");
-            // Allow first call (inside of the async-readdir package) to call fs.stat normally
             fs_stat.callThrough();
-            // This is the fs.stat call inside SimplePoll
+            // This is the fs.stat call for the existing file (after the one for the directory itself)
             fs_stat.onCall(1).yieldsAsync(new Error("stats error"), null);
             const config = {
                 path: TEST_DIR,
@@ -348,16 +2183,36 @@ describe("int:SimplePoll", function () {
                 sort: false,
                 pollCallback: pollCallbackWrapper
             };
+            let callbackError = null;
+            callbackAssertions = function (error) {
+                callbackError = error;
+            };
             fs.outputFileSync(testPaths[0], "Some test data");
-            // Intercept uncaughtException inside the async function before Node and Mocha
-            // (this is the only way to test thrown errors inside async functions)
-            process.prependOnceListener("uncaughtException", (error) => {
+            testPoll = simplepoll.create(config);
+            testPoll.once("error", (error) => {
                 chai.expect(error).to.not.be.null;
                 chai.expect(error).to.be.an.instanceof(Error);
+                chai.expect(error.message).to.equal("stats error");
+                chai.expect(callbackError).to.equal(error);
                 fs_stat.restore();
                 done();
             });
-            simplepoll.create(config);
+        });
+        it("Should pass errors encountered while initializing to the callback without emitting them if there's no listener", function (done) {
+            const root = path.resolve("/virtual/missing");
+            testPoll = new simplepoll.SimplePoll({
+                path: root,
+                fileSystem: new simplepoll.MemoryFileSystem(),
+                timerPeriod: 1000,
+                sort: false,
+                pollCallback: (error) => {
+                    chai.expect(error.code).to.equal("ENOENT");
+                    testPoll.whenReady().catch((readyError) => {
+                        chai.expect(readyError).to.equal(error);
+                        done();
+                    });
+                }
+            });
         });
     });
 });